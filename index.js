@@ -1,14 +1,43 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
+const { Pool, Client } = require("pg");
 const cors = require("cors");
 const path = require("path");
 const crypto = require("crypto");
+const util = require("util");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
 
+const fs = require("fs");
 const multer = require("multer");
+const sharp = require("sharp");
 const xlsx = require("xlsx");
+const PDFDocument = require("pdfkit");
 const upload = multer({ storage: multer.memoryStorage() });
 
+// 상품 이미지 업로드 (5MB, 이미지 파일만)
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, /^image\//.test(file.mimetype)),
+});
+
+// 파일 1개 업로드 미들웨어: multer 오류(용량 초과 등)도 { success:false, message } JSON 으로 응답
+function singleFile(uploader, field) {
+  const handle = uploader.single(field);
+  return (req, res, next) =>
+    handle(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ success: false, message: "파일 용량 초과" });
+      res.status(400).json({ success: false, message: `업로드 오류: ${err.message}` });
+    });
+}
+
+// 업로드 파일 저장 위치 (/uploads 로 서빙)
+const uploadPath = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+
 const app = express();
 app.use(cors());
 app.use(express.json());
@@ -40,15 +69,252 @@ const DEPOSIT = {
   holder: process.env.DEPOSIT_ACCOUNT_HOLDER || "김광엽",
 };
 
-const MASTER_API_KEY = process.env.MASTER_API_KEY || "";
-function requireMaster(req, res, next) {
-  const key = req.header("x-master-key");
-  if (!MASTER_API_KEY || key !== MASTER_API_KEY) {
-    return res.status(401).json({ success: false, message: "MASTER 인증 실패" });
+// 공용 MASTER_API_KEY(x-master-key / login-master) 와 본사코드만으로 본사 로그인은
+// LEGACY_AUTH=1 일 때만 허용 (관리자 계정 전환 기간용)
+const LEGACY_AUTH = ["1", "true"].includes(String(process.env.LEGACY_AUTH || "").toLowerCase());
+const MASTER_API_KEY = LEGACY_AUTH ? process.env.MASTER_API_KEY || "" : "";
+
+// 관리자 역할: super_master(전체) / finance(충전·입금·정산) / head_admin(본사 1곳의 /head/*)
+const ADMIN_ROLES = ["super_master", "finance", "head_admin"];
+
+// 마스터 영역 권한: roles 에 포함된 역할만 허용 (super_master 는 항상 허용)
+function requireMasterRole(...roles) {
+  const allowed = ["super_master", ...roles];
+  return (req, res, next) => {
+    // 관리자 세션 토큰(Bearer) 우선, 없으면 (LEGACY_AUTH 일 때) x-master-key 헤더
+    if (bearerToken(req)) {
+      return requireAuth("master")(req, res, () => {
+        if (!allowed.includes(req.auth.role)) {
+          req.authPassed = false;
+          return res.status(403).json({ success: false, message: "권한 없음" });
+        }
+        next();
+      });
+    }
+
+    const key = req.header("x-master-key");
+    if (!MASTER_API_KEY || key !== MASTER_API_KEY) {
+      return res.status(401).json({ success: false, message: "MASTER 인증 실패" });
+    }
+    req.authPassed = true;
+    next();
+  };
+}
+const requireMaster = requireMasterRole();
+const requireFinance = requireMasterRole("finance");
+
+// ----------------------------------------------------
+// Session Token (가맹점/본사/마스터 로그인 세션)
+// - accessToken: HMAC 서명 + 짧은 만료 (Authorization: Bearer ...)
+// - refreshToken: 랜덤값, auth_sessions 에 해시로만 저장 / 사용 시 교체(rotation)
+// ----------------------------------------------------
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_SECRET) console.warn("⚠️ AUTH_SECRET 미설정: 서버 재시작 시 모든 세션이 무효화됩니다.");
+
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_SEC || 60 * 60);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 14);
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto.createHmac("sha256", AUTH_SECRET).update(body).digest("base64url");
+  return `${body}.${sig}`;
+}
+
+// 서명/만료 검증 (실패 시 null)
+function verifyToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", AUTH_SECRET).update(body).digest("base64url"));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
   }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function bearerToken(req) {
+  const m = String(req.header("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function buildTokens({ sessionId, scope, storeId, headOfficeId, actorName = null, refreshToken }) {
+  const exp = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SEC;
+  const accessToken = signToken({
+    sid: Number(sessionId),
+    scope,
+    storeId: storeId == null ? null : Number(storeId),
+    headOfficeId: headOfficeId == null ? null : Number(headOfficeId),
+    actorName,
+    exp,
+  });
+  return { accessToken, refreshToken, tokenType: "Bearer", expiresIn: ACCESS_TOKEN_TTL_SEC };
+}
+
+// scope: 'store' | 'head' | 'master'
+// actorName: 처리자 표시용 이름(본사 담당자명 등, 선택)
+// role/adminUserId: 관리자 계정 로그인 세션 (admin_users)
+async function issueSession({
+  scope,
+  storeId = null,
+  headOfficeId = null,
+  actorName = null,
+  role = null,
+  adminUserId = null,
+}) {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  const r = await pool.query(
+    `INSERT INTO auth_sessions(scope, store_id, head_office_id, actor_name, role, admin_user_id,
+                               refresh_token_hash, expires_at)
+     VALUES($1,$2,$3,$4,$5,$6,$7, now() + make_interval(days => $8::int))
+     RETURNING id`,
+    [scope, storeId, headOfficeId, actorName, role, adminUserId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return buildTokens({ sessionId: r.rows[0].id, scope, storeId, headOfficeId, actorName, refreshToken });
+}
+
+// 이력 기록용 처리자 라벨 (ex: "홍길동(head#12)", "store#34", x-master-key 인증은 "master-key")
+function actorOf(auth) {
+  if (!auth) return "master-key";
+  const tag = `${auth.scope}#${auth.sessionId}`;
+  return auth.actorName ? `${auth.actorName}(${tag})` : tag;
+}
+
+// 관리자 비밀번호: scrypt$<salt>$<hash> (base64url)
+const scryptAsync = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt, 64);
+  return `scrypt$${salt.toString("base64url")}$${key.toString("base64url")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const key = await scryptAsync(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// 관리자 계정의 세션 전부 폐기 (비활성화/역할·본사 변경/비밀번호 재설정 시)
+async function revokeAdminSessions(db, adminUserId) {
+  await db.query("UPDATE auth_sessions SET revoked_at=now() WHERE admin_user_id=$1 AND revoked_at IS NULL", [
+    adminUserId,
+  ]);
+}
+
+// ✅ 토큰 인증 미들웨어: req.auth = { sessionId, scope, storeId, headOfficeId, role, adminUserId }
+function requireAuth(...scopes) {
+  return async (req, res, next) => {
+    const payload = verifyToken(bearerToken(req));
+    if (!payload) return res.status(401).json({ success: false, message: "인증 필요(토큰 없음/만료)" });
+    if (scopes.length && !scopes.includes(payload.scope)) {
+      return res.status(403).json({ success: false, message: "권한 없음" });
+    }
+
+    let session;
+    try {
+      const s = await pool.query(
+        `SELECT s.revoked_at, s.role, s.admin_user_id, a.active AS admin_active, st.status AS store_status
+         FROM auth_sessions s
+         LEFT JOIN admin_users a ON a.id = s.admin_user_id
+         LEFT JOIN stores st ON st.id = s.store_id
+         WHERE s.id=$1`,
+        [payload.sid]
+      );
+      session = s.rows[0];
+      const storeInactive = session?.store_status != null && session.store_status !== "ACTIVE";
+      if (!session || session.revoked_at || session.admin_active === false || storeInactive) {
+        return res.status(401).json({ success: false, message: "세션 만료(다시 로그인 필요)" });
+      }
+    } catch (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+
+    req.auth = {
+      sessionId: payload.sid,
+      scope: payload.scope,
+      storeId: payload.storeId,
+      headOfficeId: payload.headOfficeId,
+      actorName: payload.actorName || null,
+      role: session.role || null,
+      adminUserId: session.admin_user_id || null,
+    };
+    req.authPassed = true;
+    next();
+  };
+}
+
+// ----------------------------------------------------
+// AUDIT LOG (append-only: audit_logs 는 트리거로 UPDATE/DELETE 차단)
+// - /master, /admin, /head 쓰기 요청(POST/PUT/PATCH/DELETE)은 응답 후 자동 기록
+//   (인증 가드를 통과한 요청만: 익명/거부된 요청은 남기지 않음 → req.authPassed)
+// - 라우트에서 auditTarget(req, ...) 로 대상 엔티티 / 변경 전·후 값을 붙임
+// ----------------------------------------------------
+const AUDIT_REDACT_KEY = /password|secret|token|key|auth_?code/i;
+
+function redactForAudit(v) {
+  if (Array.isArray(v)) return v.map(redactForAudit);
+  if (!v || typeof v !== "object" || v instanceof Date) return v;
+  return Object.fromEntries(
+    Object.entries(v).map(([k, x]) => [k, AUDIT_REDACT_KEY.test(k) ? "***" : redactForAudit(x)])
+  );
+}
+
+// fields: { entityType, entityId, before, after }
+function auditTarget(req, fields) {
+  req.audit = { ...req.audit, ...fields };
+}
+
+function auditWrites(req, res, next) {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+
+  res.on("finish", () => {
+    if (!req.authPassed) return;
+    const a = req.audit || {};
+    pool
+      .query(
+        `INSERT INTO audit_logs(actor, scope, head_office_id, method, route, path, status_code,
+                                entity_type, entity_id, before, after, request, ip)
+         VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+        [
+          actorOf(req.auth),
+          req.auth?.scope || "master",
+          req.auth?.headOfficeId ?? null,
+          req.method,
+          req.route?.path || null,
+          req.originalUrl.split("?")[0],
+          res.statusCode,
+          a.entityType || null,
+          a.entityId == null ? null : String(a.entityId),
+          a.before === undefined ? null : JSON.stringify(redactForAudit(a.before)),
+          a.after === undefined ? null : JSON.stringify(redactForAudit(a.after)),
+          JSON.stringify({
+            params: req.params,
+            query: req.query,
+            body: redactForAudit(req.body),
+            file: req.file ? req.file.originalname : undefined,
+          }),
+          req.ip,
+        ]
+      )
+      .catch((err) => console.error("⚠️ 감사로그 기록 실패:", err.message));
+  });
   next();
 }
 
+app.use(["/master", "/admin", "/head"], auditWrites);
+
 // ----------------------------------------------------
 // Utils
 // ----------------------------------------------------
@@ -72,6 +338,73 @@ function readExcel(buffer) {
   return xlsx.utils.sheet_to_json(sheet, { defval: "" });
 }
 
+// rows(객체 배열) → xlsx 다운로드 응답
+function sendExcel(res, filename, rows, sheetName = "Sheet1") {
+  sendWorkbook(res, filename, [{ name: sheetName, rows }]);
+}
+
+// 여러 시트: sheets = [{ name, rows }]
+function sendWorkbook(res, filename, sheets) {
+  const wb = xlsx.utils.book_new();
+  for (const sh of sheets) {
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(sh.rows), sh.name);
+  }
+  const buf = xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(buf);
+}
+
+// 목록 커서 페이지네이션 (id 내림차순 keyset): ?limit=1~maxLimit(기본 50)&cursor=<pageInfo.nextCursor>
+// → { limit, cursor(id 또는 null) } / 오류면 { error }
+function readPageParams(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  const limit = query.limit == null || query.limit === "" ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) return { error: `limit은 1~${maxLimit}` };
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), "base64url").toString("utf8")).id;
+    } catch {
+      cursor = undefined;
+    }
+    if (!Number.isInteger(cursor) || cursor < 1) return { error: "cursor 형식 오류" };
+  }
+  return { limit, cursor };
+}
+
+// limit+1 건 조회 결과 → { rows, pageInfo: { hasMore, nextCursor, total? } }
+function pageOf(rows, limit, total) {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+  const nextCursor = hasMore ? Buffer.from(JSON.stringify({ id: Number(last.id) })).toString("base64url") : null;
+  return { rows: page, pageInfo: { hasMore, nextCursor, ...(total !== undefined && { total }) } };
+}
+
+// 부분일치 검색어 → ILIKE 패턴 (%, _ 이스케이프)
+function likePattern(q) {
+  return `%${String(q).trim().replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+// 'YYYY-MM-DD' 검증 (빈 값은 null)
+function parseDateParam(v) {
+  if (!v) return null;
+  const s = String(v);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return undefined;
+  // 2024-02-31 같은 없는 날짜도 거부
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s ? s : undefined;
+}
+
+// id 쿼리 파라미터: 비어 있으면 null, 양의 정수가 아니면 undefined (→ 400)
+function parseIdParam(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isSafeInteger(n) && n > 0 ? n : undefined;
+}
+
 function normalizeStatus(v, fallback = "ACTIVE") {
   const s = String(v || "").trim().toUpperCase();
   if (s === "ACTIVE" || s === "SOLD_OUT" || s === "INACTIVE") return s;
@@ -113,14 +446,33 @@ async function generateUniqueHeadOfficeCode() {
 // ----------------------------------------------------
 // Core: TOPUP 승인 처리(공통 함수)
 // - 관리자 승인 / 은행 자동확인 모두 여기 사용
+// - receivedAmount: 실제 입금액 (없으면 남은 요청금액 전액으로 간주 = 관리자 승인)
+//   · 부족입금: TOPUP_UNDERPAY_POLICY=partial → 입금분만 충전 + partially_paid (추가 입금 대기)
+//               TOPUP_UNDERPAY_POLICY=close   → 입금분만 충전 + paid (요청 종료)
+//   · 초과입금: 요청금액은 CHARGE, 초과분은 OVERPAY 로 원장 별도 기록
+//   · 금액 불일치는 deposit_discrepancies 에 기록 → 마스터 검토
 // ----------------------------------------------------
-async function applyTopupPaid({ topupId, memo = "입금확인 충전", refType = "TOPUP" }) {
+const TOPUP_UNDERPAY_POLICY = process.env.TOPUP_UNDERPAY_POLICY === "close" ? "close" : "partial";
+
+async function storeHeadOfficeId(db, storeId) {
+  const r = await db.query("SELECT head_office_id FROM stores WHERE id=$1", [storeId]);
+  return r.rows[0]?.head_office_id ?? null;
+}
+
+async function applyTopupPaid({
+  topupId,
+  memo = "입금확인 충전",
+  refType = "TOPUP",
+  receivedAmount = null,
+  txId = null,
+  allowClosed = false, // 만료/취소된 요청도 충전 허용 (마스터 수동매칭 전용)
+}) {
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
     const t = await client.query(
-      "SELECT id, store_id, amount, status FROM point_topups WHERE id=$1 FOR UPDATE",
+      "SELECT id, store_id, amount, paid_amount, status FROM point_topups WHERE id=$1 FOR UPDATE",
       [topupId]
     );
     if (t.rows.length === 0) {
@@ -129,36 +481,123 @@ async function applyTopupPaid({ topupId, memo = "입금확인 충전", refType =
     }
 
     const topup = t.rows[0];
+    const requested = Number(topup.amount);
+    const alreadyPaid = Number(topup.paid_amount || 0);
+
+    // 이미 승인된 topup: 관리자 승인(txId 없음)은 입금액 지정 여부와 무관하게 멱등
+    // 은행 입금건(txId)만 초과입금으로 반영하되, 같은 txId 는 한 번만
     if (topup.status === "paid") {
-      await client.query("ROLLBACK");
-      return { ok: true, message: "이미 승인된 topup", topupId, storeId: topup.store_id };
+      const dup = txId
+        ? await client.query("SELECT 1 FROM deposit_discrepancies WHERE tx_id=$1 LIMIT 1", [txId])
+        : null;
+      if (!txId || dup.rowCount) {
+        await client.query("ROLLBACK");
+        return { ok: true, message: "이미 승인된 topup", topupId, storeId: topup.store_id };
+      }
     }
-    if (topup.status !== "requested") {
+    const closed = topup.status === "expired" || topup.status === "cancelled";
+    if (!(closed && allowClosed) && !["requested", "partially_paid", "paid"].includes(topup.status)) {
       await client.query("ROLLBACK");
       return { ok: false, status: 400, message: `처리 불가 상태: ${topup.status}` };
     }
 
-    await client.query("UPDATE point_topups SET status='paid', paid_at=now() WHERE id=$1", [topupId]);
+    const remaining = topup.status === "paid" ? 0 : Math.max(requested - alreadyPaid, 0);
+    const received = receivedAmount == null ? remaining : Number(receivedAmount);
+    if (!(received > 0)) {
+      await client.query("ROLLBACK");
+      return { ok: false, status: 400, message: "입금액이 0 이하" };
+    }
+
+    const charge = Math.min(received, remaining);
+    const surplus = received - charge;
+
+    let nextStatus = "paid";
+    let discrepancy = null;
+    if (surplus > 0) {
+      discrepancy = { kind: "OVER", expected: remaining, received, diff: surplus };
+    } else if (received < remaining) {
+      discrepancy = { kind: "UNDER", expected: remaining, received, diff: received - remaining };
+      if (TOPUP_UNDERPAY_POLICY === "partial") nextStatus = "partially_paid";
+    }
+
+    await client.query(
+      `UPDATE point_topups
+       SET status=$2,
+           paid_amount = COALESCE(paid_amount, 0) + $3,
+           paid_at = CASE WHEN $2='paid' THEN COALESCE(paid_at, now()) ELSE paid_at END
+       WHERE id=$1`,
+      [topupId, nextStatus, received]
+    );
 
     await client.query(
       `INSERT INTO store_wallets(store_id, balance)
        VALUES($1, $2)
        ON CONFLICT(store_id)
        DO UPDATE SET balance = store_wallets.balance + EXCLUDED.balance, updated_at=now()`,
-      [topup.store_id, topup.amount]
+      [topup.store_id, received]
     );
 
-    await client.query(
-      `INSERT INTO point_ledger(store_id, type, amount, ref_type, ref_id, memo)
-       VALUES($1, 'CHARGE', $2, $3, $4, $5)`,
-      [topup.store_id, topup.amount, refType, topupId, memo]
-    );
+    if (charge > 0) {
+      await client.query(
+        `INSERT INTO point_ledger(store_id, type, amount, ref_type, ref_id, memo)
+         VALUES($1, 'CHARGE', $2, $3, $4, $5)`,
+        [topup.store_id, charge, refType, topupId, discrepancy?.kind === "UNDER" ? `${memo}(부족입금)` : memo]
+      );
+    }
+    if (surplus > 0) {
+      await client.query(
+        `INSERT INTO point_ledger(store_id, type, amount, ref_type, ref_id, memo)
+         VALUES($1, 'OVERPAY', $2, $3, $4, $5)`,
+        [topup.store_id, surplus, refType, topupId, "초과입금분 충전"]
+      );
+    }
+
+    if (discrepancy) {
+      await client.query(
+        `INSERT INTO deposit_discrepancies(topup_id, store_id, tx_id, kind, expected_amount, received_amount, diff_amount, policy)
+         VALUES($1,$2,$3,$4,$5,$6,$7,$8)`,
+        [
+          topupId,
+          topup.store_id,
+          txId,
+          discrepancy.kind,
+          discrepancy.expected,
+          discrepancy.received,
+          discrepancy.diff,
+          discrepancy.kind === "UNDER" ? TOPUP_UNDERPAY_POLICY : null,
+        ]
+      );
+    }
+
+    await publishEvent(client, {
+      type: "topup.paid",
+      headOfficeId: await storeHeadOfficeId(client, topup.store_id),
+      data: {
+        topupId,
+        storeId: topup.store_id,
+        status: nextStatus,
+        requestedAmount: requested,
+        received,
+        charged: charge,
+        surplus,
+        discrepancy: discrepancy?.kind || null,
+        txId,
+      },
+    });
 
     await client.query("COMMIT");
 
     const w = await pool.query("SELECT store_id, balance FROM store_wallets WHERE store_id=$1", [topup.store_id]);
 
-    return { ok: true, topupId, storeId: topup.store_id, wallet: w.rows[0] };
+    return {
+      ok: true,
+      topupId,
+      storeId: topup.store_id,
+      topupStatus: nextStatus,
+      credited: received,
+      discrepancy,
+      wallet: w.rows[0],
+    };
   } catch (err) {
     await client.query("ROLLBACK");
     return { ok: false, status: 500, message: err.message };
@@ -167,568 +606,4588 @@ async function applyTopupPaid({ topupId, memo = "입금확인 충전", refType =
   }
 }
 
+// 오래된 충전요청 만료 (TOPUP_EXPIRE_DAYS 경과한 requested → expired)
+const TOPUP_EXPIRE_DAYS = Number(process.env.TOPUP_EXPIRE_DAYS || 7);
+
+// → 만료 처리된 충전요청 id 목록
+async function expireStaleTopups() {
+  const r = await pool.query(
+    `UPDATE point_topups
+     SET status='expired', expired_at=now()
+     WHERE status='requested'
+       AND created_at < now() - make_interval(days => $1::int)
+     RETURNING id`,
+    [TOPUP_EXPIRE_DAYS]
+  );
+  return r.rows.map((x) => x.id);
+}
+
 // ----------------------------------------------------
-// AUTH
+// Core: 주문 상태 변경(공통 함수)
+// - pending → confirmed → shipped → delivered
+// - pending/confirmed → rejected (본사 반려, 결제 포인트 자동 환불 + 재고 복원)
+// - pending → cancelled (가맹점 취소, 결제 포인트 자동 환불 + 재고 복원)
 // ----------------------------------------------------
-// 1) 본사 인증
-app.post("/auth/verify-head", async (req, res) => {
-  const { inviteCode } = req.body;
-  try {
-    const headRes = await pool.query("SELECT id, name FROM head_offices WHERE code = $1", [inviteCode]);
+const ORDER_TRANSITIONS = {
+  confirm: { by: "head", from: ["pending"], to: "confirmed" },
+  ship: { by: "head", from: ["confirmed"], to: "shipped" },
+  deliver: { by: "head", from: ["shipped"], to: "delivered" },
+  reject: { by: "head", from: ["pending", "confirmed"], to: "rejected", refundMemo: "발주 반려 환불", restock: true },
+  cancel: { by: "store", from: ["pending"], to: "cancelled", refundMemo: "발주 취소 환불", restock: true },
+};
 
-    if (headRes.rows.length === 0) {
-      return res.status(404).json({ success: false, message: "본사 코드가 틀렸습니다." });
-    }
+// ----------------------------------------------------
+// 발주 마감/배송일 계산
+// - order_schedules: cutoff_time(마감시각), order_weekdays(주문 가능 요일, NULL=매일),
+//   delivery_weekdays(배송 요일), lead_days(주문일→최소 배송일), late_policy(next|reject)
+// - 공휴일(delivery_holidays, head_office_id NULL = 전체 공통)은 주문/배송 모두 불가
+// - 요일: 0=일 ~ 6=토
+// ----------------------------------------------------
+function addDays(ymd, n) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
 
-    const headOffice = headRes.rows[0];
-    const branchesRes = await pool.query(
-      "SELECT id, name, address FROM stores WHERE head_office_id = $1 ORDER BY name ASC",
-      [headOffice.id]
-    );
+function weekdayOf(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
 
-    res.json({ success: true, headOffice, branches: branchesRes.rows });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+// 현재 KST 날짜/시각 → { date: 'YYYY-MM-DD', time: 'HH:MM' }
+function nowKst(now = new Date()) {
+  const iso = new Date(now.getTime() + 9 * 60 * 60 * 1000).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+async function loadOrderSchedule(db, headOfficeId) {
+  const r = await db.query(
+    `SELECT to_char(cutoff_time,'HH24:MI') AS cutoff_time, order_weekdays, delivery_weekdays, lead_days, late_policy
+     FROM order_schedules
+     WHERE head_office_id=$1`,
+    [headOfficeId]
+  );
+  if (!r.rowCount) return null;
+
+  const h = await db.query(
+    `SELECT to_char(holiday_date,'YYYY-MM-DD') AS d
+     FROM delivery_holidays
+     WHERE (head_office_id=$1 OR head_office_id IS NULL)
+       AND holiday_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 400`,
+    [headOfficeId]
+  );
+  return { ...r.rows[0], holidays: new Set(h.rows.map((x) => x.d)) };
+}
+
+// → { ok, deliveryDate, orderDate, late } / 마감 후 + reject 정책이면 { ok:false, code, message }
+function computeDeliveryDate(schedule, now = new Date()) {
+  const { date: today, time } = nowKst(now);
+  const { holidays } = schedule;
+  const orderDayOk = (d) =>
+    (!schedule.order_weekdays || schedule.order_weekdays.includes(weekdayOf(d))) && !holidays.has(d);
+  const deliveryDayOk = (d) => schedule.delivery_weekdays.includes(weekdayOf(d)) && !holidays.has(d);
+
+  const inWindow = orderDayOk(today) && (!schedule.cutoff_time || time < schedule.cutoff_time);
+  if (!inWindow && schedule.late_policy === "reject") {
+    return {
+      ok: false,
+      code: "OUTSIDE_ORDER_WINDOW",
+      message: schedule.cutoff_time
+        ? `주문 가능 시간이 아닙니다. (주문일 ${schedule.cutoff_time} 이전 접수)`
+        : "주문 가능일이 아닙니다.",
+    };
   }
-});
 
-// 2) 가맹점 로그인(지점id+가맹코드)
-app.post("/auth/login-store", async (req, res) => {
-  const { storeId, merchantCode } = req.body;
-  try {
-    const resStore = await pool.query(
-      "SELECT id, name, head_office_id, status FROM stores WHERE id = $1 AND merchant_code = $2",
-      [storeId, merchantCode]
-    );
+  // 마감 이후 주문은 다음 주문 가능일 접수로 간주
+  let orderDate = today;
+  if (!inWindow) {
+    orderDate = addDays(today, 1);
+    for (let i = 0; i < 366 && !orderDayOk(orderDate); i++) orderDate = addDays(orderDate, 1);
+  }
 
-    if (resStore.rows.length > 0) {
-      res.json({ success: true, message: "로그인 성공", store: resStore.rows[0] });
-    } else {
-      res.status(401).json({ success: false, message: "가맹점 코드가 일치하지 않습니다." });
-    }
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+  let deliveryDate = addDays(orderDate, Number(schedule.lead_days || 0));
+  for (let i = 0; i < 366 && !deliveryDayOk(deliveryDate); i++) deliveryDate = addDays(deliveryDate, 1);
+  if (!deliveryDayOk(deliveryDate)) {
+    return { ok: false, code: "NO_DELIVERY_DATE", message: "배송 가능일이 없습니다. (배송요일/휴일 설정 확인)" };
   }
-});
 
-// 3) 가맹점 코드만으로 로그인
-app.post("/auth/login-store-by-code", async (req, res) => {
-  const { merchantCode } = req.body;
+  return { ok: true, orderDate, deliveryDate, late: !inWindow };
+}
 
-  try {
-    const result = await pool.query(
-      `SELECT id, head_office_id, name, status,
-              to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
-       FROM stores
-       WHERE merchant_code = $1
-       LIMIT 1`,
-      [merchantCode]
-    );
+// 조회 응답용: ok → orderable (응답의 success 와 구분)
+function deliveryPreview(schedule) {
+  const { ok, ...rest } = computeDeliveryDate(schedule);
+  return { orderable: ok, ...rest };
+}
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ success: false, message: "가맹점 코드가 일치하지 않습니다." });
+// 가맹점 적용 단가 조회 → Map(productId → { price, priceListId, priceListName })
+// - 오늘 유효한 단가표 중 가맹점 직접 지정 > 가맹점 그룹 지정, 같은 순위면 최근 시작 단가표 우선
+// - 단가표에 없는 상품은 Map 에 없음 (products.price 그대로 적용)
+async function resolveStorePrices(db, storeId, productIds = null) {
+  const r = await db.query(
+    `SELECT DISTINCT ON (pli.product_id)
+            pli.product_id, pli.price, pl.id AS price_list_id, pl.name AS price_list_name
+     FROM stores s
+     JOIN price_lists pl ON pl.head_office_id = s.head_office_id
+     JOIN price_list_assignments a ON a.price_list_id = pl.id
+     JOIN price_list_items pli ON pli.price_list_id = pl.id
+     WHERE s.id = $1
+       AND pl.active
+       AND (a.store_id = s.id OR (a.store_group_id IS NOT NULL AND a.store_group_id = s.store_group_id))
+       AND (pl.valid_from IS NULL OR pl.valid_from <= CURRENT_DATE)
+       AND (pl.valid_to IS NULL OR pl.valid_to >= CURRENT_DATE)
+       AND ($2::int[] IS NULL OR pli.product_id = ANY($2::int[]))
+     ORDER BY pli.product_id, (a.store_id IS NOT NULL) DESC, pl.valid_from DESC NULLS LAST, pl.id DESC`,
+    [storeId, productIds]
+  );
+  return new Map(
+    r.rows.map((x) => [x.product_id, { price: x.price, priceListId: x.price_list_id, priceListName: x.price_list_name }])
+  );
+}
+
+// 발주 항목 검증 (productMap: 본사 상품 id → products 행)
+// - 오류는 항목별 { index, productId, code, message } 로 모두 수집
+// - code: INVALID_PRODUCT / PRODUCT_NOT_FOUND / SOLD_OUT / NOT_SELLABLE / INVALID_QTY
+//         BELOW_MIN_QTY / NOT_MULTIPLE / ABOVE_MAX_QTY / OUT_OF_STOCK
+function validateOrderLines(items, productMap) {
+  const errors = [];
+  const lines = [];
+  const qtyByProduct = new Map();
+
+  items.forEach((it, index) => {
+    const productId = Number(it?.productId);
+    const qty = Number(it?.qty);
+    const fail = (code, message, extra = {}) =>
+      errors.push({ index, productId: it?.productId ?? null, code, message, ...extra });
+
+    if (!Number.isInteger(productId) || productId <= 0) return fail("INVALID_PRODUCT", "productId 오류");
+
+    const p = productMap.get(productId);
+    if (!p) return fail("PRODUCT_NOT_FOUND", "본사 상품이 아님");
+    if (p.status === "SOLD_OUT") return fail("SOLD_OUT", `품절 상품: ${p.name}`);
+    if (p.status !== "ACTIVE") return fail("NOT_SELLABLE", `판매중이 아닌 상품: ${p.name}`);
+
+    if (!Number.isInteger(qty) || qty <= 0) return fail("INVALID_QTY", "수량은 1 이상 정수");
+    if (p.min_order_qty && qty < p.min_order_qty) {
+      return fail("BELOW_MIN_QTY", `최소 주문수량 ${p.min_order_qty}`, { minQty: p.min_order_qty });
+    }
+    if (p.order_multiple && qty % p.order_multiple !== 0) {
+      return fail("NOT_MULTIPLE", `${p.order_multiple}개 단위로 주문`, { multiple: p.order_multiple });
     }
 
-    return res.json({ success: true, message: "로그인 성공", store: result.rows[0] });
-  } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
+    const unitPrice = Number(p.price);
+    lines.push({ index, productId, qty, unitPrice, lineTotal: unitPrice * qty });
+    qtyByProduct.set(productId, (qtyByProduct.get(productId) || 0) + qty);
+  });
+
+  // 최대수량/재고는 같은 상품 여러 줄을 합산해서 체크
+  for (const [productId, qty] of qtyByProduct) {
+    const p = productMap.get(productId);
+    const index = lines.find((l) => l.productId === productId).index;
+    if (p.max_order_qty && qty > p.max_order_qty) {
+      errors.push({
+        index,
+        productId,
+        code: "ABOVE_MAX_QTY",
+        message: `1회 최대 주문수량 ${p.max_order_qty}`,
+        maxQty: p.max_order_qty,
+      });
+    } else if (p.stock_qty != null && p.stock_qty < qty) {
+      errors.push({
+        index,
+        productId,
+        code: "OUT_OF_STOCK",
+        message: `재고 부족 (재고:${p.stock_qty}, 요청:${qty})`,
+        stock: p.stock_qty,
+      });
+    }
   }
-});
 
-// 4) 가맹점 인증코드(auth_code) 로그인
-app.post("/auth/login-store-by-authcode", async (req, res) => {
-  const { authCode } = req.body;
-  if (!authCode) return res.status(400).json({ success: false, message: "authCode 필요" });
+  return { errors, lines, qtyByProduct };
+}
 
-  try {
-    const r = await pool.query(
-      `SELECT id, head_office_id, name, status, auth_code
-       FROM stores
-       WHERE auth_code=$1
-       LIMIT 1`,
-      [String(authCode).trim().toUpperCase()]
-    );
+// 재고 증감 + 이력 기록 (호출측 트랜잭션 client 사용, 재고 미관리(stock_qty NULL) 상품은 무시)
+// - 0 이하가 되면 ACTIVE → SOLD_OUT, 0 이하에서 다시 채워지면 SOLD_OUT → ACTIVE
+async function moveStock(client, { productId, delta, reason, refType = null, refId = null, actor = null, memo = null }) {
+  const r = await client.query(
+    `UPDATE products
+     SET stock_qty = stock_qty + $2,
+         status = CASE
+           WHEN stock_qty + $2 <= 0 AND status = 'ACTIVE' THEN 'SOLD_OUT'
+           WHEN stock_qty <= 0 AND stock_qty + $2 > 0 AND status = 'SOLD_OUT' THEN 'ACTIVE'
+           ELSE status
+         END
+     WHERE id=$1 AND stock_qty IS NOT NULL
+     RETURNING stock_qty, status`,
+    [productId, delta]
+  );
+  if (!r.rowCount) return null;
 
-    if (r.rowCount === 0) return res.status(401).json({ success: false, message: "인증코드가 일치하지 않습니다." });
-    if (r.rows[0].status !== "ACTIVE") return res.status(403).json({ success: false, message: "비활성 가맹점입니다." });
+  await client.query(
+    `INSERT INTO stock_movements(product_id, change_qty, stock_after, reason, ref_type, ref_id, actor, memo)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8)`,
+    [productId, delta, r.rows[0].stock_qty, reason, refType, refId, actor, memo]
+  );
+  return r.rows[0];
+}
 
-    res.json({ success: true, message: "로그인 성공", store: r.rows[0] });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+// 주문 결제액 환불 (호출측 트랜잭션 client 사용)
+// - 지갑 잠금 후 적립, 같은 주문에 ORDER_REFUND 가 이미 있으면 중복 환불하지 않음
+async function refundOrderPoints(client, { orderId, storeId, amount, memo }) {
+  await client.query("SELECT balance FROM store_wallets WHERE store_id=$1 FOR UPDATE", [storeId]);
 
-// ----------------------------------------------------
-// PRODUCTS (가맹점/본사 웹에서 사용)
-// ----------------------------------------------------
-app.get("/products", async (req, res) => {
-  const { headOfficeId } = req.query;
-  try {
-    const result = await pool.query("SELECT * FROM products WHERE head_office_id = $1 ORDER BY id DESC", [headOfficeId]);
-    res.json({ success: true, products: result.rows });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+  const dup = await client.query(
+    "SELECT 1 FROM point_ledger WHERE type='ORDER_REFUND' AND ref_type='ORDER' AND ref_id=$1",
+    [orderId]
+  );
+  if (dup.rows.length) return false;
+
+  await client.query(
+    `INSERT INTO store_wallets(store_id, balance)
+     VALUES($1, $2)
+     ON CONFLICT(store_id)
+     DO UPDATE SET balance = store_wallets.balance + EXCLUDED.balance, updated_at=now()`,
+    [storeId, amount]
+  );
 
-// ----------------------------------------------------
-// ORDERS (포인트 차감 포함)
-// ----------------------------------------------------
-app.post("/orders", async (req, res) => {
-  const { storeId, items } = req.body;
+  await client.query(
+    `INSERT INTO point_ledger(store_id, type, amount, ref_type, ref_id, memo)
+     VALUES($1, 'ORDER_REFUND', $2, 'ORDER', $3, $4)`,
+    [storeId, amount, orderId, memo]
+  );
+  return true;
+}
 
-  if (!storeId || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ success: false, message: "storeId/items 필요" });
-  }
+// 본사 처리는 headOfficeId, 가맹점 처리는 storeId 로 주문 소유 범위를 제한
+async function transitionOrder({ orderId, action, headOfficeId = null, storeId = null, actor, reason = null }) {
+  const t = ORDER_TRANSITIONS[action];
+  if (!t) return { ok: false, status: 400, message: `알 수 없는 처리: ${action}` };
 
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
-    // store 확인 + headOfficeId
-    const storeRes = await client.query("SELECT id, head_office_id FROM stores WHERE id = $1", [storeId]);
-    if (storeRes.rows.length === 0) {
+    const o = await client.query(
+      `SELECT id, store_id, head_office_id, status, total_amount
+       FROM orders
+       WHERE id=$1
+         AND ($2::int IS NULL OR head_office_id=$2)
+         AND ($3::int IS NULL OR store_id=$3)
+       FOR UPDATE`,
+      [orderId, headOfficeId, storeId]
+    );
+    if (o.rows.length === 0) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ success: false, message: "store 없음" });
+      return { ok: false, status: 404, message: "order 없음" };
     }
-    const headOfficeId = storeRes.rows[0].head_office_id;
 
-    // 상품 가격
-    const productIds = items.map((i) => i.productId);
-    const productsRes = await client.query(
-      `SELECT id, price
-       FROM products
-       WHERE id = ANY($1::int[])
-         AND head_office_id = $2`,
-      [productIds, headOfficeId]
+    const order = o.rows[0];
+    if (order.status === t.to) {
+      await client.query("ROLLBACK");
+      return { ok: true, message: `이미 ${t.to} 상태`, orderId, status: order.status };
+    }
+    if (!t.from.includes(order.status)) {
+      await client.query("ROLLBACK");
+      return { ok: false, status: 409, message: `상태 변경 불가: ${order.status} → ${t.to}` };
+    }
+
+    // <status>_at / <status>_by 컬럼에 시각/처리자 기록
+    await client.query(
+      `UPDATE orders
+       SET status=$2, ${t.to}_at=now(), ${t.to}_by=$3,
+           reject_reason = CASE WHEN $2='rejected' THEN $4 ELSE reject_reason END
+       WHERE id=$1`,
+      [orderId, t.to, actor, reason]
     );
 
-    const priceMap = new Map(productsRes.rows.map((p) => [p.id, p.price]));
+    let refunded = 0;
+    if (t.refundMemo && Number(order.total_amount) > 0) {
+      const done = await refundOrderPoints(client, {
+        orderId,
+        storeId: order.store_id,
+        amount: Number(order.total_amount),
+        memo: t.refundMemo,
+      });
+      if (done) refunded = Number(order.total_amount);
+    }
 
-    // 총액 계산
-    let total = 0;
-    for (const it of items) {
-      const price = priceMap.get(it.productId);
-      if (price == null) {
-        await client.query("ROLLBACK");
-        return res.status(400).json({ success: false, message: `상품 불일치: ${it.productId}` });
+    // 재고 복원 (상품 id 순으로 잠금 → 주문 생성과 같은 순서)
+    if (t.restock) {
+      const items = await client.query(
+        `SELECT oi.product_id, SUM(oi.qty)::int AS qty
+         FROM order_items oi
+         JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id=$1 AND p.stock_qty IS NOT NULL
+         GROUP BY oi.product_id
+         ORDER BY oi.product_id`,
+        [orderId]
+      );
+      for (const it of items.rows) {
+        await client.query("SELECT 1 FROM products WHERE id=$1 FOR UPDATE", [it.product_id]);
+        await moveStock(client, {
+          productId: it.product_id,
+          delta: it.qty,
+          reason: action === "cancel" ? "ORDER_CANCEL" : "ORDER_REJECT",
+          refType: "ORDER",
+          refId: orderId,
+          actor,
+        });
       }
-      total += price * it.qty;
     }
 
-    // 지갑 잠금 + 부족 체크
-    const w = await client.query("SELECT balance FROM store_wallets WHERE store_id=$1 FOR UPDATE", [storeId]);
-
-    if (w.rows.length === 0) {
-      await client.query("INSERT INTO store_wallets(store_id, balance) VALUES($1, 0)", [storeId]);
-    }
+    await publishEvent(client, {
+      type: "order.status_changed",
+      headOfficeId: order.head_office_id,
+      data: { orderId, storeId: order.store_id, from: order.status, to: t.to, action, reason, refunded, actor },
+    });
 
-    const balance = w.rows.length ? Number(w.rows[0].balance) : 0;
+    await client.query("COMMIT");
+    return { ok: true, orderId, from: order.status, status: t.to, refunded };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    return { ok: false, status: 500, message: err.message };
+  } finally {
+    client.release();
+  }
+}
 
-    if (balance < total) {
+// ----------------------------------------------------
+// EVENTS → WEBHOOKS (outbox → 비동기 발송 + 지수 백오프 재시도) / 실시간 스트림(SSE)
+// - publishEvent 는 호출측 트랜잭션(client) 안에서 호출 → 업무 처리와 같이 커밋/롤백
+//   (pg_notify 도 커밋 시점에 전달되므로 롤백된 처리는 스트림에도 나가지 않음)
+// - 구독: 본사별(head_office_id) 또는 전체(NULL, 마스터 등록) / events 에 '*' 면 전체 이벤트
+// - 서명 헤더: X-Webhook-Signature: t=<unix초>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+// ----------------------------------------------------
+const WEBHOOK_EVENTS = [
+  "order.created",
+  "order.status_changed",
+  "order_template.failed",
+  "topup.requested",
+  "topup.paid",
+  "deposit.unmatched",
+];
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+
+// 이벤트 1건 기록 + 구독 중인 엔드포인트별 발송 대기건 생성 (endpointId 지정 시 구독과 무관하게 해당 엔드포인트만)
+async function publishEvent(db, { type, headOfficeId = null, data, endpointId = null }) {
+  const e = await db.query(
+    `INSERT INTO webhook_events(event_type, head_office_id, payload)
+     VALUES($1,$2,$3)
+     RETURNING id`,
+    [type, headOfficeId, JSON.stringify(data)]
+  );
+  const eventId = e.rows[0].id;
+
+  await db.query(
+    `INSERT INTO webhook_deliveries(event_id, endpoint_id)
+     SELECT $1, id
+     FROM webhook_endpoints
+     WHERE active
+       AND (head_office_id IS NULL OR head_office_id = $2)
+       AND CASE WHEN $4::int IS NULL THEN ($3 = ANY(events) OR '*' = ANY(events)) ELSE id = $4 END`,
+    [eventId, headOfficeId, type, endpointId]
+  );
+
+  // 실시간 스트림 (NOTIFY payload 8000byte 제한 → 크면 id 만 보내고 수신측에서 조회)
+  if (!endpointId) {
+    const message = JSON.stringify({ id: eventId, type, headOfficeId, data });
+    await db.query("SELECT pg_notify($1, $2)", [
+      EVENT_CHANNEL,
+      message.length < 7500 ? message : JSON.stringify({ id: eventId, type, headOfficeId }),
+    ]);
+  }
+  return eventId;
+}
+
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// 재시도 간격: 30초 × 2^(시도-1), 최대 6시간
+function webhookBackoffSec(attempts) {
+  return Math.min(30 * 2 ** Math.max(attempts - 1, 0), 6 * 60 * 60);
+}
+
+// SSRF 차단: 루프백/사설/링크로컬(메타데이터 169.254.169.254 포함)/CGNAT/멀티캐스트 등 내부 주소로는 발송 금지
+// (개발용 WEBHOOK_ALLOW_PRIVATE=1 이면 허용)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+}
+
+function isBlockedAddress(ip) {
+  if (WEBHOOK_ALLOW_PRIVATE) return false;
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+// 호스트의 모든 주소를 조회해 하나라도 내부 주소면 거부 → 통과한 주소 목록
+async function resolveWebhookHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+  if (!addresses.length) throw new Error(`주소 조회 실패: ${host}`);
+  const blocked = addresses.find((a) => isBlockedAddress(a.address));
+  if (blocked) throw new Error(`내부 주소로는 발송할 수 없음: ${host} (${blocked.address})`);
+  return addresses;
+}
+
+// 등록/수정 시 url 검사 → 오류 메시지 또는 null
+async function checkWebhookUrl(url) {
+  try {
+    await resolveWebhookHost(new URL(url).hostname);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// 발송용 lookup: 접속 직전 조회한 주소를 검사하고 그 주소로만 접속 (DNS rebinding 방지)
+function webhookLookup(hostname, options, callback) {
+  resolveWebhookHost(hostname).then(
+    (addresses) =>
+      options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family),
+    (err) => callback(err)
+  );
+}
+
+// POST 1회 (리다이렉트는 따라가지 않음) → { statusCode, text }
+async function postWebhook(urlString, headers, body) {
+  const url = new URL(urlString);
+  // IP 리터럴은 lookup 을 거치지 않으므로 여기서 검사
+  await resolveWebhookHost(url.hostname);
+
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === "https:" ? https : http).request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: webhookLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (r) => {
+        let text = "";
+        r.setEncoding("utf8");
+        r.on("data", (chunk) => {
+          if (text.length < 1000) text += chunk;
+        });
+        r.on("end", () => resolve({ statusCode: r.statusCode, text: text.slice(0, 1000) }));
+        r.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+async function sendWebhook(d) {
+  const body = JSON.stringify({
+    id: String(d.event_id),
+    type: d.event_type,
+    createdAt: d.event_created_at,
+    headOfficeId: d.head_office_id,
+    data: d.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const r = await postWebhook(
+      d.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "taeback-webhook/1.0",
+        "X-Webhook-Id": String(d.event_id),
+        "X-Webhook-Event": d.event_type,
+        "X-Webhook-Signature": `t=${timestamp},v1=${signWebhook(d.secret, timestamp, body)}`,
+      },
+      body
+    );
+    const ok = r.statusCode >= 200 && r.statusCode < 300;
+    return {
+      ok,
+      statusCode: r.statusCode,
+      responseBody: r.text,
+      error: ok ? null : `HTTP ${r.statusCode}`,
+      ms: Date.now() - started,
+    };
+  } catch (err) {
+    return { ok: false, statusCode: null, responseBody: null, error: err.message, ms: Date.now() - started };
+  }
+}
+
+// 발송 대기건 처리: next_attempt_at 이 지난 건을 선점(SKIP LOCKED, 10분 임대) → 발송 → 결과/시도 기록
+async function dispatchWebhooks(batchSize = 20) {
+  const due = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = now() + interval '10 minutes'
+     FROM webhook_events e, webhook_endpoints ep
+     WHERE d.id IN (
+         SELECT d2.id
+         FROM webhook_deliveries d2
+         JOIN webhook_endpoints ep2 ON ep2.id = d2.endpoint_id
+         WHERE d2.status = 'pending' AND d2.next_attempt_at <= now() AND ep2.active
+         ORDER BY d2.next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE OF d2 SKIP LOCKED
+       )
+       AND e.id = d.event_id AND ep.id = d.endpoint_id
+     RETURNING d.id, d.attempts, d.event_id, e.event_type, e.head_office_id, e.payload,
+               to_char(e.created_at,'YYYY-MM-DD"T"HH24:MI:SSOF') AS event_created_at,
+               ep.url, ep.secret`,
+    [batchSize]
+  );
+
+  for (const d of due.rows) {
+    const result = await sendWebhook(d);
+    const attempt = d.attempts + 1;
+
+    await pool.query(
+      `INSERT INTO webhook_delivery_attempts(delivery_id, attempt, status_code, error, response_body, duration_ms)
+       VALUES($1,$2,$3,$4,$5,$6)`,
+      [d.id, attempt, result.statusCode, result.error, result.responseBody, result.ms]
+    );
+
+    const status = result.ok ? "delivered" : attempt >= WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status=$2, attempts=$3, last_status_code=$4, last_error=$5,
+           delivered_at = CASE WHEN $2='delivered' THEN now() ELSE delivered_at END,
+           next_attempt_at = now() + make_interval(secs => $6::int)
+       WHERE id=$1`,
+      [d.id, status, attempt, result.statusCode, result.error, webhookBackoffSec(attempt)]
+    );
+  }
+  return due.rowCount;
+}
+
+// ----------------------------------------------------
+// REALTIME (SSE: 본사 주문 피드 / 가맹점 잔액·충전 피드)
+// - 모든 서버 인스턴스가 LISTEN taeback_events → 자기에게 연결된 스트림으로 전달
+// - 재연결 시 Last-Event-ID 이후 이벤트를 webhook_events 에서 재전송 (최대 100건)
+// ----------------------------------------------------
+const EVENT_CHANNEL = "taeback_events";
+const HEAD_STREAM_EVENTS = ["order.created", "order.status_changed", "order_template.failed"];
+const STORE_STREAM_EVENTS = ["order.status_changed", "order_template.failed", "topup.paid"];
+const BALANCE_EVENTS = ["order.created", "order.status_changed", "topup.paid"]; // 가맹점 잔액이 바뀌는 이벤트
+
+const streamClients = new Set(); // { res, headOfficeId, storeId }
+
+function writeSse(res, { id = null, type, data }) {
+  res.write(`${id != null ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function walletBalance(storeId) {
+  const r = await pool.query("SELECT balance FROM store_wallets WHERE store_id=$1", [storeId]);
+  return Number(r.rows[0]?.balance || 0);
+}
+
+// 이벤트 1건을 이 인스턴스의 해당 스트림들로 전달
+async function fanOutEvent(evt) {
+  let { data } = evt;
+  if (data === undefined) {
+    const r = await pool.query("SELECT payload FROM webhook_events WHERE id=$1", [evt.id]);
+    data = r.rows[0]?.payload;
+  }
+  if (!data) return;
+
+  const storeId = data.storeId ?? null;
+  let balance;
+  for (const c of streamClients) {
+    if (c.headOfficeId != null && c.headOfficeId === evt.headOfficeId && HEAD_STREAM_EVENTS.includes(evt.type)) {
+      writeSse(c.res, { id: evt.id, type: evt.type, data });
+    }
+    if (c.storeId != null && c.storeId === storeId) {
+      if (STORE_STREAM_EVENTS.includes(evt.type)) writeSse(c.res, { id: evt.id, type: evt.type, data });
+      if (BALANCE_EVENTS.includes(evt.type)) {
+        if (balance === undefined) balance = await walletBalance(storeId);
+        writeSse(c.res, { type: "wallet.balance", data: { storeId, balance } });
+      }
+    }
+  }
+}
+
+// 전용 LISTEN 연결 (끊기면 5초 후 재연결)
+function startEventListener() {
+  const client = new Client({ connectionString: process.env.DATABASE_URL, ssl: false });
+  let retried = false;
+  const retry = (err) => {
+    if (retried) return;
+    retried = true;
+    console.error("❌ 이벤트 LISTEN 연결 끊김:", err?.message || "closed");
+    client.end().catch(() => {});
+    setTimeout(startEventListener, 5000);
+  };
+
+  client.on("notification", (msg) => {
+    let evt;
+    try {
+      evt = JSON.parse(msg.payload);
+    } catch {
+      return;
+    }
+    fanOutEvent(evt).catch((err) => console.error("⚠️ 실시간 이벤트 전달 실패:", err.message));
+  });
+  client.on("error", retry);
+  client.on("end", () => retry());
+
+  client
+    .connect()
+    .then(() => client.query(`LISTEN ${EVENT_CHANNEL}`))
+    .catch(retry);
+}
+
+// SSE 연결 공통: 헤더/하트비트/정리 + Last-Event-ID 재전송
+async function openStream(req, res, { headOfficeId = null, storeId = null, types, ready }) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // 정리 핸들러는 await 전에 등록 (재전송 조회 중 끊긴 연결이 streamClients 에 남지 않도록)
+  const client = { res, headOfficeId, storeId };
+  let closed = false;
+  let heartbeat = null;
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    streamClients.delete(client);
+  });
+
+  const lastId = Number(req.header("last-event-id")) || null;
+  if (lastId) {
+    const r = await pool.query(
+      `SELECT id, event_type, payload
+       FROM webhook_events
+       WHERE id > $1 AND event_type = ANY($2::text[])
+         AND ($3::int IS NULL OR head_office_id = $3)
+         AND ($4::int IS NULL OR (payload->>'storeId')::int = $4)
+       ORDER BY id ASC
+       LIMIT 100`,
+      [lastId, types, headOfficeId, storeId]
+    );
+    if (closed) return;
+    r.rows.forEach((x) => writeSse(res, { id: x.id, type: x.event_type, data: x.payload }));
+  }
+  writeSse(res, { type: "ready", data: ready });
+
+  streamClients.add(client);
+  heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+}
+
+// EventSource 는 Authorization 헤더를 못 붙이므로 스트림 경로에 한해 ?accessToken= 허용
+function streamToken(req, res, next) {
+  if (!req.header("authorization") && req.query.accessToken) {
+    req.headers.authorization = `Bearer ${req.query.accessToken}`;
+  }
+  next();
+}
+
+// 본사: 신규 주문 / 주문 상태 변경
+app.get("/head/stream", streamToken, requireAuth("head"), async (req, res) => {
+  try {
+    await openStream(req, res, {
+      headOfficeId: req.auth.headOfficeId,
+      types: HEAD_STREAM_EVENTS,
+      ready: { headOfficeId: req.auth.headOfficeId },
+    });
+  } catch (err) {
+    if (!res.headersSent) return res.status(500).json({ success: false, error: err.message });
+    res.end();
+  }
+});
+
+// 가맹점: 잔액 변경(wallet.balance) / 충전 완료 / 주문 상태 변경
+app.get("/wallet/stream", streamToken, requireAuth("store"), async (req, res) => {
+  try {
+    const balance = await walletBalance(req.auth.storeId);
+    await openStream(req, res, {
+      storeId: req.auth.storeId,
+      types: STORE_STREAM_EVENTS,
+      ready: { storeId: req.auth.storeId, balance },
+    });
+  } catch (err) {
+    if (!res.headersSent) return res.status(500).json({ success: false, error: err.message });
+    res.end();
+  }
+});
+
+// ----------------------------------------------------
+// AUTH
+// ----------------------------------------------------
+// 1) 본사 인증
+app.post("/auth/verify-head", async (req, res) => {
+  const { inviteCode, staffName } = req.body;
+  try {
+    const headRes = await pool.query("SELECT id, name FROM head_offices WHERE code = $1", [inviteCode]);
+
+    if (headRes.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "본사 코드가 틀렸습니다." });
+    }
+
+    const headOffice = headRes.rows[0];
+    const branchesRes = await pool.query(
+      "SELECT id, name, address FROM stores WHERE head_office_id = $1 ORDER BY name ASC",
+      [headOffice.id]
+    );
+
+    // 본사 관리 세션은 /auth/login-admin (head_admin 계정) 으로만 발급, 전환 기간에만 코드 로그인 허용
+    if (!LEGACY_AUTH) return res.json({ success: true, headOffice, branches: branchesRes.rows });
+
+    const tokens = await issueSession({
+      scope: "head",
+      headOfficeId: headOffice.id,
+      actorName: String(staffName || "").trim() || null,
+      role: "head_admin",
+    });
+    res.json({ success: true, headOffice, branches: branchesRes.rows, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 2) 가맹점 로그인(지점id+가맹코드+인증코드) — 지점id/가맹코드는 공개값이라 인증코드 필수
+app.post("/auth/login-store", async (req, res) => {
+  const { storeId, merchantCode, authCode } = req.body;
+  if (!Number.isInteger(Number(storeId)) || !merchantCode || !authCode) {
+    return res.status(400).json({ success: false, message: "storeId/merchantCode/authCode 필요" });
+  }
+
+  try {
+    const resStore = await pool.query(
+      "SELECT id, name, head_office_id, status FROM stores WHERE id = $1 AND merchant_code = $2 AND auth_code = $3",
+      [Number(storeId), merchantCode, String(authCode).trim().toUpperCase()]
+    );
+
+    if (resStore.rows.length > 0) {
+      const store = resStore.rows[0];
+      if (store.status !== "ACTIVE") return res.status(403).json({ success: false, message: "비활성 가맹점입니다." });
+      const tokens = await issueSession({ scope: "store", storeId: store.id, headOfficeId: store.head_office_id });
+      res.json({ success: true, message: "로그인 성공", store, ...tokens });
+    } else {
+      res.status(401).json({ success: false, message: "가맹점 코드 또는 인증코드가 일치하지 않습니다." });
+    }
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 3) 가맹점 코드 + 인증코드 로그인
+// (가맹점 코드는 입금자명으로도 쓰이는 공개값이라 단독으로는 세션을 발급하지 않음)
+app.post("/auth/login-store-by-code", async (req, res) => {
+  const { merchantCode, authCode } = req.body;
+  if (!merchantCode || !authCode) {
+    return res.status(400).json({ success: false, message: "merchantCode/authCode 필요" });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, head_office_id, name, status,
+              to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
+       FROM stores
+       WHERE merchant_code = $1 AND auth_code = $2
+       LIMIT 1`,
+      [merchantCode, String(authCode).trim().toUpperCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ success: false, message: "가맹점 코드 또는 인증코드가 일치하지 않습니다." });
+    }
+
+    const store = result.rows[0];
+    if (store.status !== "ACTIVE") return res.status(403).json({ success: false, message: "비활성 가맹점입니다." });
+    const tokens = await issueSession({ scope: "store", storeId: store.id, headOfficeId: store.head_office_id });
+    return res.json({ success: true, message: "로그인 성공", store, ...tokens });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 4) 가맹점 인증코드(auth_code) 로그인
+app.post("/auth/login-store-by-authcode", async (req, res) => {
+  const { authCode } = req.body;
+  if (!authCode) return res.status(400).json({ success: false, message: "authCode 필요" });
+
+  try {
+    const r = await pool.query(
+      `SELECT id, head_office_id, name, status, auth_code
+       FROM stores
+       WHERE auth_code=$1
+       LIMIT 1`,
+      [String(authCode).trim().toUpperCase()]
+    );
+
+    if (r.rowCount === 0) return res.status(401).json({ success: false, message: "인증코드가 일치하지 않습니다." });
+    if (r.rows[0].status !== "ACTIVE") return res.status(403).json({ success: false, message: "비활성 가맹점입니다." });
+
+    const store = r.rows[0];
+    const tokens = await issueSession({ scope: "store", storeId: store.id, headOfficeId: store.head_office_id });
+    res.json({ success: true, message: "로그인 성공", store, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 5) 마스터 로그인(MASTER_API_KEY → 마스터 세션 토큰, LEGACY_AUTH 일 때만)
+app.post("/auth/login-master", async (req, res) => {
+  const { masterKey } = req.body;
+  if (!MASTER_API_KEY || masterKey !== MASTER_API_KEY) {
+    return res.status(401).json({ success: false, message: "MASTER 인증 실패" });
+  }
+
+  try {
+    const tokens = await issueSession({ scope: "master", role: "super_master" });
+    res.json({ success: true, message: "로그인 성공", ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 5-1) 관리자 계정 로그인: super_master/finance → master 세션, head_admin → 해당 본사 head 세션
+app.post("/auth/login-admin", async (req, res) => {
+  const username = String(req.body.username || "").trim().toLowerCase();
+  const password = String(req.body.password || "");
+  if (!username || !password) return res.status(400).json({ success: false, message: "username/password 필요" });
+
+  try {
+    const r = await pool.query(
+      "SELECT id, username, password_hash, name, role, head_office_id, active FROM admin_users WHERE username=$1",
+      [username]
+    );
+    const admin = r.rows[0];
+    if (!admin || !admin.active || !(await verifyPassword(password, admin.password_hash))) {
+      return res.status(401).json({ success: false, message: "아이디 또는 비밀번호가 올바르지 않습니다." });
+    }
+
+    await pool.query("UPDATE admin_users SET last_login_at=now() WHERE id=$1", [admin.id]);
+    const tokens = await issueSession({
+      scope: admin.role === "head_admin" ? "head" : "master",
+      headOfficeId: admin.head_office_id,
+      actorName: admin.name || admin.username,
+      role: admin.role,
+      adminUserId: admin.id,
+    });
+    const { password_hash, ...profile } = admin;
+    res.json({ success: true, message: "로그인 성공", admin: profile, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 5-2) 관리자 본인 비밀번호 변경 (현재 세션 제외 나머지 세션 폐기)
+app.post("/auth/change-password", requireAuth("master", "head"), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!req.auth.adminUserId) return res.status(400).json({ success: false, message: "관리자 계정 세션 아님" });
+  if (String(newPassword || "").length < 10) {
+    return res.status(400).json({ success: false, message: "newPassword는 10자 이상" });
+  }
+
+  try {
+    const r = await pool.query("SELECT password_hash FROM admin_users WHERE id=$1", [req.auth.adminUserId]);
+    if (!r.rowCount || !(await verifyPassword(currentPassword || "", r.rows[0].password_hash))) {
+      return res.status(401).json({ success: false, message: "현재 비밀번호가 올바르지 않습니다." });
+    }
+
+    await pool.query("UPDATE admin_users SET password_hash=$2, updated_at=now() WHERE id=$1", [
+      req.auth.adminUserId,
+      await hashPassword(newPassword),
+    ]);
+    await pool.query(
+      "UPDATE auth_sessions SET revoked_at=now() WHERE admin_user_id=$1 AND id<>$2 AND revoked_at IS NULL",
+      [req.auth.adminUserId, req.auth.sessionId]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 6) 토큰 갱신 (refreshToken 은 1회용: 사용 시 새 값으로 교체)
+app.post("/auth/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ success: false, message: "refreshToken 필요" });
+
+  try {
+    const nextRefreshToken = crypto.randomBytes(32).toString("base64url");
+    const r = await pool.query(
+      `UPDATE auth_sessions
+       SET refresh_token_hash=$2, last_used_at=now()
+       WHERE refresh_token_hash=$1 AND revoked_at IS NULL AND expires_at > now()
+         AND (admin_user_id IS NULL OR EXISTS (SELECT 1 FROM admin_users a WHERE a.id = admin_user_id AND a.active))
+         AND (store_id IS NULL OR EXISTS (SELECT 1 FROM stores st WHERE st.id = store_id AND st.status = 'ACTIVE'))
+       RETURNING id, scope, store_id, head_office_id, actor_name`,
+      [hashToken(refreshToken), hashToken(nextRefreshToken)]
+    );
+    if (!r.rowCount) return res.status(401).json({ success: false, message: "세션 만료(다시 로그인 필요)" });
+
+    const s = r.rows[0];
+    const tokens = buildTokens({
+      sessionId: s.id,
+      scope: s.scope,
+      storeId: s.store_id,
+      headOfficeId: s.head_office_id,
+      actorName: s.actor_name,
+      refreshToken: nextRefreshToken,
+    });
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 7) 로그아웃 (세션 폐기 → access/refresh 모두 무효)
+app.post("/auth/logout", requireAuth(), async (req, res) => {
+  try {
+    await pool.query("UPDATE auth_sessions SET revoked_at=now() WHERE id=$1 AND revoked_at IS NULL", [
+      req.auth.sessionId,
+    ]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// PRODUCTS (가맹점/본사 웹에서 사용)
+// ----------------------------------------------------
+// 가맹점 로그인: price = 실제 결제 단가(단가표 적용), base_price = 기본가
+app.get("/products", requireAuth("store", "head"), async (req, res) => {
+  const { headOfficeId, scope, storeId } = req.auth;
+  try {
+    const result = await pool.query(
+      "SELECT * FROM products WHERE head_office_id = $1 AND archived_at IS NULL ORDER BY id DESC",
+      [headOfficeId]
+    );
+    if (scope !== "store") return res.json({ success: true, products: result.rows });
+
+    const storePrices = await resolveStorePrices(pool, storeId);
+    const products = result.rows.map((p) => {
+      const sp = storePrices.get(p.id);
+      return { ...p, base_price: p.price, price: sp ? sp.price : p.price, price_list_id: sp ? sp.priceListId : null };
+    });
+    res.json({ success: true, products });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// ORDERS (포인트 차감 포함)
+// ----------------------------------------------------
+// 발주 생성(공통 함수): 가맹점 주문 / 장바구니 / 주문템플릿(수동·자동) 모두 여기 사용
+// - 매번 현재 상품/단가/재고/마감 기준으로 재검증·재계산
+// - dryRun: 전체 검증/계산만 하고 롤백 (미리보기)
+// - 본사가 필수 프로필을 요구하면 누락 시 PROFILE_INCOMPLETE
+async function placeOrder({ storeId, items, actor, dryRun = false }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { ok: false, status: 400, code: "EMPTY_ITEMS", message: "items 필요" };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // store 확인 + headOfficeId
+    const storeRes = await client.query("SELECT id, head_office_id FROM stores WHERE id = $1", [storeId]);
+    if (storeRes.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { ok: false, status: 404, message: "store 없음" };
+    }
+    const headOfficeId = storeRes.rows[0].head_office_id;
+
+    const gate = await checkProfileGate(client, storeId);
+    if (!gate.ok) {
+      await client.query("ROLLBACK");
+      return gate;
+    }
+
+    // 발주 마감/배송일 (본사 설정이 없으면 배송일 미지정)
+    const schedule = await loadOrderSchedule(client, headOfficeId);
+    const delivery = schedule ? computeDeliveryDate(schedule) : null;
+    if (delivery && !delivery.ok) {
+      await client.query("ROLLBACK");
+      return { ok: false, status: 400, code: delivery.code, message: delivery.message };
+    }
+
+    // 상품 가격/상태/주문규칙/재고 (행 잠금: 동시 주문 시 초과판매 방지, id 순서로 잠가 교착 방지)
+    const productIds = items.map((i) => Number(i?.productId)).filter((id) => Number.isInteger(id) && id > 0);
+    const productsRes = await client.query(
+      `SELECT id, name, price, status, stock_qty, min_order_qty, order_multiple, max_order_qty
+       FROM products
+       WHERE id = ANY($1::int[])
+         AND head_office_id = $2
+       ORDER BY id
+       FOR UPDATE`,
+      [productIds, headOfficeId]
+    );
+
+    // 가맹점/그룹 단가표가 있으면 그 단가로 결제
+    const storePrices = await resolveStorePrices(client, storeId, productIds);
+    const productMap = new Map(
+      productsRes.rows.map((p) => [p.id, storePrices.has(p.id) ? { ...p, price: storePrices.get(p.id).price } : p])
+    );
+    const { errors, lines, qtyByProduct } = validateOrderLines(items, productMap);
+    if (errors.length) {
+      await client.query("ROLLBACK");
+      return { ok: false, status: 400, code: "INVALID_ITEMS", message: "주문 항목 오류", errors };
+    }
+
+    // 총액 계산
+    const total = lines.reduce((sum, l) => sum + l.lineTotal, 0);
+    if (!(total > 0)) {
+      await client.query("ROLLBACK");
+      return {
+        ok: false,
+        status: 400,
+        code: "INVALID_ITEMS",
+        message: "주문 금액 오류",
+        errors: [{ index: null, productId: null, code: "INVALID_TOTAL", message: `총액은 0보다 커야 함 (${total})` }],
+      };
+    }
+
+    // 지갑 잠금 + 부족 체크
+    const w = await client.query("SELECT balance FROM store_wallets WHERE store_id=$1 FOR UPDATE", [storeId]);
+
+    if (w.rows.length === 0) {
+      await client.query("INSERT INTO store_wallets(store_id, balance) VALUES($1, 0)", [storeId]);
+    }
+
+    const balance = w.rows.length ? Number(w.rows[0].balance) : 0;
+
+    if (balance < total) {
+      await client.query("ROLLBACK");
+      return {
+        ok: false,
+        status: 400,
+        code: "INSUFFICIENT_POINTS",
+        message: `포인트가 부족합니다. (보유:${balance}, 필요:${total})`,
+        balance,
+        total,
+        needed: total - balance,
+      };
+    }
+
+    // 잔액 차감
+    await client.query("UPDATE store_wallets SET balance = balance - $1, updated_at=now() WHERE store_id=$2", [
+      total,
+      storeId,
+    ]);
+
+    // 주문 생성
+    const orderRes = await client.query(
+      `INSERT INTO orders (store_id, head_office_id, status, total_amount, delivery_date)
+       VALUES ($1, $2, 'pending', $3, $4)
+       RETURNING id`,
+      [storeId, headOfficeId, total, delivery?.deliveryDate || null]
+    );
+    const orderId = orderRes.rows[0].id;
+
+    // 주문 아이템
+    for (const l of lines) {
+      await client.query(
+        `INSERT INTO order_items (order_id, product_id, qty, unit_price, line_total)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [orderId, l.productId, l.qty, l.unitPrice, l.lineTotal]
+      );
+    }
+
+    // 재고 차감
+    for (const [productId, qty] of [...qtyByProduct].sort((a, b) => a[0] - b[0])) {
+      if (productMap.get(productId).stock_qty == null) continue;
+      await moveStock(client, {
+        productId,
+        delta: -qty,
+        reason: "ORDER",
+        refType: "ORDER",
+        refId: orderId,
+        actor,
+      });
+    }
+
+    // 원장 기록(차감은 음수)
+    await client.query(
+      `INSERT INTO point_ledger(store_id, type, amount, ref_type, ref_id, memo)
+       VALUES($1,'ORDER_DEBIT',$2,'ORDER',$3,'발주 결제 차감')`,
+      [storeId, -total, orderId]
+    );
+
+    const deliveryDate = delivery?.deliveryDate || null;
+    if (dryRun) {
+      await client.query("ROLLBACK");
+      return { ok: true, dryRun: true, total, balance, deliveryDate, lines };
+    }
+
+    await publishEvent(client, {
+      type: "order.created",
+      headOfficeId,
+      data: {
+        orderId,
+        storeId,
+        total,
+        deliveryDate,
+        items: lines.map(({ productId, qty, unitPrice, lineTotal }) => ({ productId, qty, unitPrice, lineTotal })),
+      },
+    });
+
+    await client.query("COMMIT");
+    return { ok: true, orderId, total, deliveryDate };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    return { ok: false, status: 500, error: err.message };
+  } finally {
+    client.release();
+  }
+}
+
+app.post("/orders", requireAuth("store"), async (req, res) => {
+  const { ok, status, ...result } = await placeOrder({
+    storeId: req.auth.storeId,
+    items: req.body.items,
+    actor: actorOf(req.auth),
+  });
+
+  if (!ok) return res.status(status || 500).json({ success: false, ...result });
+  return res.json({ success: true, ...result });
+});
+
+// 가맹점: 지금 주문하면 배정될 배송일 미리보기
+app.get("/orders/delivery-preview", requireAuth("store"), async (req, res) => {
+  try {
+    const schedule = await loadOrderSchedule(pool, req.auth.headOfficeId);
+    if (!schedule) return res.json({ success: true, schedule: null, orderable: true, deliveryDate: null });
+
+    const { holidays, ...config } = schedule;
+    res.json({ success: true, schedule: config, ...deliveryPreview(schedule) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 가맹점 주문취소 (pending 상태만, 결제 포인트 환불 / 중복 요청은 그대로 성공 응답)
+app.post("/orders/:orderId/cancel", requireAuth("store"), async (req, res) => {
+  const orderId = Number(req.params.orderId);
+  if (!orderId) return res.status(400).json({ success: false, message: "orderId 필요" });
+
+  const result = await transitionOrder({
+    orderId,
+    action: "cancel",
+    storeId: req.auth.storeId,
+    actor: actorOf(req.auth),
+  });
+
+  if (!result.ok) return res.status(result.status || 500).json({ success: false, message: result.message });
+
+  const w = await pool.query("SELECT store_id, balance FROM store_wallets WHERE store_id=$1", [req.auth.storeId]);
+  return res.json({ success: true, ...result, wallet: w.rows[0] });
+});
+
+// 본사 주문 엑셀 다운로드 (기간: from~to, 주문 품목 단위로 펼침)
+app.get("/head/orders/export", requireAuth("head"), async (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, message: "from/to 형식: YYYY-MM-DD" });
+  }
+
+  try {
+    const r = await pool.query(
+      `SELECT o.id AS order_id,
+              to_char(o.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at,
+              to_char(o.delivery_date, 'YYYY-MM-DD') AS delivery_date,
+              s.name AS store_name, o.status, o.total_amount,
+              p.name AS product_name, p.category, p.unit,
+              oi.qty, oi.unit_price, oi.line_total
+       FROM orders o
+       JOIN stores s ON s.id = o.store_id
+       JOIN order_items oi ON oi.order_id = o.id
+       JOIN products p ON p.id = oi.product_id
+       WHERE o.head_office_id = $1
+         AND ($2::date IS NULL OR o.created_at >= $2::date)
+         AND ($3::date IS NULL OR o.created_at < $3::date + 1)
+       ORDER BY o.id DESC, oi.id ASC`,
+      [req.auth.headOfficeId, from, to]
+    );
+
+    const rows = r.rows.map((x) => ({
+      주문번호: x.order_id,
+      주문일시: x.created_at,
+      배송일: x.delivery_date || "",
+      가맹점명: x.store_name,
+      상태: x.status,
+      상품명: x.product_name,
+      카테고리: x.category,
+      단위: x.unit,
+      수량: Number(x.qty),
+      단가: Number(x.unit_price),
+      금액: Number(x.line_total),
+      주문총액: Number(x.total_amount),
+    }));
+    sendExcel(res, `orders_${from || "all"}_${to || "all"}.xlsx`, rows, "주문");
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 주문목록
+app.get("/head/orders", requireAuth("head"), async (req, res) => {
+  const { headOfficeId } = req.auth;
+  const { status, q } = req.query;
+  const deliveryDate = parseDateParam(req.query.deliveryDate);
+  const deliveryFrom = parseDateParam(req.query.deliveryFrom);
+  const deliveryTo = parseDateParam(req.query.deliveryTo);
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if ([deliveryDate, deliveryFrom, deliveryTo, from, to].includes(undefined)) {
+    return res.status(400).json({ success: false, message: "날짜 형식: YYYY-MM-DD" });
+  }
+  const storeId = parseIdParam(req.query.storeId);
+  if (storeId === undefined) return res.status(400).json({ success: false, message: "storeId는 양의 정수" });
+  const page = readPageParams(req.query);
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+
+  try {
+    const params = [headOfficeId];
+    let where = "WHERE o.head_office_id = $1";
+    if (status) {
+      params.push(status);
+      where += ` AND o.status = $${params.length}`;
+    }
+    if (deliveryDate) {
+      params.push(deliveryDate);
+      where += ` AND o.delivery_date = $${params.length}`;
+    }
+    if (deliveryFrom) {
+      params.push(deliveryFrom);
+      where += ` AND o.delivery_date >= $${params.length}`;
+    }
+    if (deliveryTo) {
+      params.push(deliveryTo);
+      where += ` AND o.delivery_date <= $${params.length}`;
+    }
+    // 주문일 기간
+    if (from) {
+      params.push(from);
+      where += ` AND o.created_at >= $${params.length}::date`;
+    }
+    if (to) {
+      params.push(to);
+      where += ` AND o.created_at < $${params.length}::date + 1`;
+    }
+    if (storeId !== null) {
+      params.push(storeId);
+      where += ` AND o.store_id = $${params.length}`;
+    }
+    // 가맹점명 검색
+    if (q) {
+      params.push(likePattern(q));
+      where += ` AND s.name ILIKE $${params.length}`;
+    }
+
+    const count = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM orders o JOIN stores s ON s.id = o.store_id ${where}`,
+      params
+    );
+
+    if (page.cursor) {
+      params.push(page.cursor);
+      where += ` AND o.id < $${params.length}`;
+    }
+    params.push(page.limit + 1);
+
+    const result = await pool.query(
+      `SELECT o.id,
+              o.store_id,
+              s.name AS store_name,
+              o.status,
+              o.total_amount,
+              to_char(o.delivery_date, 'YYYY-MM-DD') AS delivery_date,
+              to_char(o.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
+       FROM orders o
+       JOIN stores s ON s.id = o.store_id
+       ${where}
+       ORDER BY o.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const { rows, pageInfo } = pageOf(result.rows, page.limit, count.rows[0].total);
+    res.json({ success: true, orders: rows, pageInfo });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 주문상세
+app.get("/head/orders/:orderId", requireAuth("head"), async (req, res) => {
+  const { orderId } = req.params;
+  const { headOfficeId } = req.auth;
+
+  try {
+    const head = await pool.query(
+      `SELECT o.id,
+              o.store_id,
+              s.name AS store_name,
+              o.head_office_id,
+              o.status,
+              o.total_amount,
+              to_char(o.delivery_date, 'YYYY-MM-DD') AS delivery_date,
+              to_char(o.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at,
+              to_char(o.confirmed_at, 'YYYY-MM-DD HH24:MI:SS') AS confirmed_at, o.confirmed_by,
+              to_char(o.shipped_at, 'YYYY-MM-DD HH24:MI:SS') AS shipped_at, o.shipped_by,
+              to_char(o.delivered_at, 'YYYY-MM-DD HH24:MI:SS') AS delivered_at, o.delivered_by,
+              to_char(o.rejected_at, 'YYYY-MM-DD HH24:MI:SS') AS rejected_at, o.rejected_by,
+              to_char(o.cancelled_at, 'YYYY-MM-DD HH24:MI:SS') AS cancelled_at, o.cancelled_by,
+              o.reject_reason
+       FROM orders o
+       JOIN stores s ON s.id = o.store_id
+       WHERE o.id = $1 AND o.head_office_id = $2`,
+      [orderId, headOfficeId]
+    );
+    if (head.rows.length === 0) return res.status(404).json({ success: false, message: "order 없음" });
+
+    const items = await pool.query(
+      `SELECT oi.product_id, p.name, oi.qty, oi.unit_price, oi.line_total
+       FROM order_items oi
+       JOIN products p ON p.id = oi.product_id
+       WHERE oi.order_id = $1
+       ORDER BY oi.id ASC`,
+      [orderId]
+    );
+
+    res.json({ success: true, order: head.rows[0], items: items.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 주문처리: 확인/출고/배송완료/반려
+// POST /head/orders/:orderId/confirm | ship | deliver | reject  (reject: body.reason)
+for (const action of Object.keys(ORDER_TRANSITIONS).filter((a) => ORDER_TRANSITIONS[a].by === "head")) {
+  app.post(`/head/orders/:orderId/${action}`, requireAuth("head"), async (req, res) => {
+    const orderId = Number(req.params.orderId);
+    if (!orderId) return res.status(400).json({ success: false, message: "orderId 필요" });
+
+    const result = await transitionOrder({
+      orderId,
+      action,
+      headOfficeId: req.auth.headOfficeId,
+      actor: actorOf(req.auth),
+      reason: req.body?.reason ? String(req.body.reason).trim() : null,
+    });
+
+    if (!result.ok) return res.status(result.status || 500).json({ success: false, message: result.message });
+    auditTarget(req, {
+      entityType: "order",
+      entityId: orderId,
+      before: { status: result.from ?? result.status },
+      after: { status: result.status, refunded: result.refunded ?? 0, reason: req.body?.reason ?? null },
+    });
+    return res.json({ success: true, ...result });
+  });
+}
+
+// ----------------------------------------------------
+// HEAD ANALYTICS (본사 매출 분석)
+// - 매출 = order_items.line_total (취소/반려 주문 제외), 기준일 = 주문일(created_at)
+// - 기간: from~to (기본 최근 30일), 비교기간 = 바로 앞 같은 길이
+// ----------------------------------------------------
+const SALES_EXCLUDED_STATUSES = ["cancelled", "rejected"];
+
+// groupBy → 집계 키/표시명/필요 조인
+const SALES_GROUPS = {
+  store: { key: "o.store_id::text", label: "s.name", join: "JOIN stores s ON s.id = o.store_id" },
+  product: { key: "oi.product_id::text", label: "p.name", join: "JOIN products p ON p.id = oi.product_id" },
+  category: {
+    key: "COALESCE(p.category, '(미분류)')",
+    label: "COALESCE(p.category, '(미분류)')",
+    join: "JOIN products p ON p.id = oi.product_id",
+  },
+  day: { key: "to_char(o.created_at,'YYYY-MM-DD')", time: true },
+  week: { key: "to_char(date_trunc('week', o.created_at),'YYYY-MM-DD')", time: true }, // 월요일 시작
+  month: { key: "to_char(o.created_at,'YYYY-MM')", time: true },
+};
+
+// 조회 기간 + 비교 기간 (오류면 { error })
+function readSalesPeriod(query) {
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === undefined || to === undefined) return { error: "from/to 형식: YYYY-MM-DD" };
+
+  const end = to || nowKst().date;
+  const start = from || addDays(end, -29);
+  const days = Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1;
+  if (days < 1 || days > 366) return { error: "기간은 1~366일" };
+
+  return { from: start, to: end, days, prevFrom: addDays(start, -days), prevTo: addDays(start, -1) };
+}
+
+function changeRate(current, previous) {
+  return previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+}
+
+// 기간별 매출 집계 (current/previous 를 한 번에)
+// - 시간 단위(day/week/month)는 조회 기간만 행으로, 비교는 합계로만
+async function querySales(headOfficeId, period, groupBy, { storeId = null } = {}) {
+  const g = SALES_GROUPS[groupBy];
+  const rangeFrom = g.time ? period.from : period.prevFrom;
+  const cur = "o.created_at >= $2::date AND o.created_at < $3::date + 1";
+  const prev = "o.created_at >= $4::date AND o.created_at < $5::date + 1";
+
+  const r = await pool.query(
+    `SELECT ${g.key} AS key, ${g.label || g.key} AS label,
+            COALESCE(SUM(oi.line_total) FILTER (WHERE ${cur}), 0) AS sales,
+            COALESCE(SUM(oi.qty) FILTER (WHERE ${cur}), 0) AS qty,
+            COUNT(DISTINCT o.id) FILTER (WHERE ${cur})::int AS orders,
+            COALESCE(SUM(oi.line_total) FILTER (WHERE ${prev}), 0) AS prev_sales,
+            COALESCE(SUM(oi.qty) FILTER (WHERE ${prev}), 0) AS prev_qty,
+            COUNT(DISTINCT o.id) FILTER (WHERE ${prev})::int AS prev_orders
+     FROM orders o
+     JOIN order_items oi ON oi.order_id = o.id
+     ${g.join || ""}
+     WHERE o.head_office_id = $1
+       AND o.status <> ALL($6::text[])
+       AND o.created_at >= $7::date AND o.created_at < $3::date + 1
+       AND ($8::int IS NULL OR o.store_id = $8)
+     GROUP BY 1, 2
+     ORDER BY ${g.time ? "1 ASC" : "3 DESC"}`,
+    [
+      headOfficeId,
+      period.from,
+      period.to,
+      period.prevFrom,
+      period.prevTo,
+      SALES_EXCLUDED_STATUSES,
+      rangeFrom,
+      storeId,
+    ]
+  );
+
+  const rows = r.rows.map((x) => {
+    const row = { key: x.key, label: x.label, sales: Number(x.sales), qty: Number(x.qty), orders: x.orders };
+    if (g.time) return row;
+    return {
+      ...row,
+      prevSales: Number(x.prev_sales),
+      prevQty: Number(x.prev_qty),
+      prevOrders: x.prev_orders,
+      salesChangeRate: changeRate(Number(x.sales), Number(x.prev_sales)),
+    };
+  });
+
+  const sum = (k) => r.rows.reduce((acc, x) => acc + Number(x[k]), 0);
+  let previous = { sales: sum("prev_sales"), qty: sum("prev_qty") };
+  if (g.time) {
+    // 시간 단위 행은 조회 기간만 → 비교 합계는 따로
+    const p = await pool.query(
+      `SELECT COALESCE(SUM(oi.line_total), 0) AS sales, COALESCE(SUM(oi.qty), 0) AS qty
+       FROM orders o
+       JOIN order_items oi ON oi.order_id = o.id
+       WHERE o.head_office_id = $1
+         AND o.status <> ALL($4::text[])
+         AND o.created_at >= $2::date AND o.created_at < $3::date + 1
+         AND ($5::int IS NULL OR o.store_id = $5)`,
+      [headOfficeId, period.prevFrom, period.prevTo, SALES_EXCLUDED_STATUSES, storeId]
+    );
+    previous = { sales: Number(p.rows[0].sales), qty: Number(p.rows[0].qty) };
+  }
+  const current = { sales: sum("sales"), qty: sum("qty") };
+
+  return { rows, totals: { current, previous, salesChangeRate: changeRate(current.sales, previous.sales) } };
+}
+
+// 매출 집계: groupBy=store|product|category|day|week|month, from/to, storeId(선택)
+app.get("/head/analytics/sales", requireAuth("head"), async (req, res) => {
+  const groupBy = String(req.query.groupBy || "day");
+  if (!SALES_GROUPS[groupBy]) {
+    return res.status(400).json({ success: false, message: `groupBy: ${Object.keys(SALES_GROUPS).join(" / ")}` });
+  }
+  const period = readSalesPeriod(req.query);
+  if (period.error) return res.status(400).json({ success: false, message: period.error });
+
+  const storeId = parseIdParam(req.query.storeId);
+  if (storeId === undefined) return res.status(400).json({ success: false, message: "storeId는 양의 정수" });
+
+  try {
+    const { rows, totals } = await querySales(req.auth.headOfficeId, period, groupBy, { storeId });
+    res.json({ success: true, groupBy, period, totals, rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 가맹점 추이: 상위 가맹점(top, 기본 10) + 하락 가맹점(비교기간 대비 declinePct% 이상 감소, 기본 30)
+app.get("/head/analytics/stores/trends", requireAuth("head"), async (req, res) => {
+  const period = readSalesPeriod(req.query);
+  if (period.error) return res.status(400).json({ success: false, message: period.error });
+  const top = Math.min(Math.max(Number(req.query.top) || 10, 1), 100);
+  const declinePct = Math.max(Number(req.query.declinePct) || 30, 1);
+
+  try {
+    const { rows, totals } = await querySales(req.auth.headOfficeId, period, "store");
+    const topStores = rows.filter((x) => x.sales > 0).slice(0, top);
+    const decliningStores = rows
+      .filter((x) => x.prevSales > 0 && x.salesChangeRate <= -declinePct)
+      .sort((a, b) => a.salesChangeRate - b.salesChangeRate);
+
+    res.json({ success: true, period, totals, declinePct, topStores, decliningStores });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 미주문 가맹점: 최근 days일(기본 14) 동안 주문 없는 운영 중 가맹점 (주문 이력 없으면 last_order_at=null)
+app.get("/head/analytics/stores/inactive", requireAuth("head"), async (req, res) => {
+  const days = Number(req.query.days || 14);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({ success: false, message: "days는 1~365" });
+  }
+
+  try {
+    const r = await pool.query(
+      `SELECT s.id AS store_id, s.name AS store_name,
+              to_char(MAX(o.created_at),'YYYY-MM-DD HH24:MI:SS') AS last_order_at,
+              (current_date - MAX(o.created_at)::date)::int AS days_since_last_order
+       FROM stores s
+       LEFT JOIN orders o ON o.store_id = s.id AND o.status <> ALL($3::text[])
+       WHERE s.head_office_id = $1 AND s.status = 'ACTIVE'
+       GROUP BY s.id
+       HAVING MAX(o.created_at) IS NULL OR MAX(o.created_at) < now() - make_interval(days => $2::int)
+       ORDER BY MAX(o.created_at) ASC NULLS FIRST, s.id ASC`,
+      [req.auth.headOfficeId, days, SALES_EXCLUDED_STATUSES]
+    );
+    res.json({ success: true, days, stores: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// HEAD PRODUCTS (본사 상품관리)
+// ----------------------------------------------------
+const PRODUCT_COLUMNS = `id, head_office_id, name, category, price, unit, image_url, thumbnail_url, status, stock_qty,
+       min_order_qty, order_multiple, max_order_qty,
+       to_char(archived_at,'YYYY-MM-DD HH24:MI:SS') AS archived_at,
+       to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at`;
+
+// 상품 입력값 정리 (partial=true 면 넘어온 필드만) → { values, error }
+function readProductInput(body, { partial = false } = {}) {
+  const values = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!partial || has("name")) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name 필요" };
+    values.name = name;
+  }
+  if (!partial || has("price")) {
+    const price = Number(body.price);
+    if (body.price === "" || body.price == null || !Number.isFinite(price) || price < 0) {
+      return { error: "price는 0 이상 숫자" };
+    }
+    values.price = price;
+  }
+  if (!partial || has("category")) values.category = String(body.category || "").trim() || null;
+  if (!partial || has("unit")) values.unit = String(body.unit || "").trim() || null;
+  if (has("status")) values.status = normalizeStatus(body.status, "ACTIVE");
+
+  return { values };
+}
+
+// 이미지 저장: 원본(최대 1200px) + 썸네일(300px), jpeg 로 변환
+async function saveProductImage(productId, buffer) {
+  const dir = path.join(uploadPath, "products");
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const base = `${productId}-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const saved = { imageUrl: `/uploads/products/${base}.jpg`, thumbnailUrl: `/uploads/products/${base}-thumb.jpg` };
+  const image = sharp(buffer).rotate();
+  try {
+    await image
+      .clone()
+      .resize({ width: 1200, height: 1200, fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toFile(path.join(dir, `${base}.jpg`));
+    await image
+      .clone()
+      .resize({ width: 300, height: 300, fit: "cover" })
+      .jpeg({ quality: 80 })
+      .toFile(path.join(dir, `${base}-thumb.jpg`));
+  } catch (err) {
+    // 일부만 써진 파일 정리
+    removeUploadedFile(saved.imageUrl);
+    removeUploadedFile(saved.thumbnailUrl);
+    throw err;
+  }
+  return saved;
+}
+
+// /uploads/... URL 의 로컬 파일 삭제 (실패해도 무시)
+function removeUploadedFile(url) {
+  if (!url || !String(url).startsWith("/uploads/")) return;
+  const file = path.join(uploadPath, String(url).slice("/uploads/".length));
+  if (!file.startsWith(uploadPath)) return;
+  fs.promises.unlink(file).catch(() => {});
+}
+
+// 본사 상품 목록 (archived=1 이면 보관 상품 포함)
+app.get("/head/products", requireAuth("head"), async (req, res) => {
+  const includeArchived = req.query.archived === "1";
+  try {
+    const r = await pool.query(
+      `SELECT ${PRODUCT_COLUMNS}
+       FROM products
+       WHERE head_office_id=$1 AND ($2 OR archived_at IS NULL)
+       ORDER BY id DESC`,
+      [req.auth.headOfficeId, includeArchived]
+    );
+    res.json({ success: true, products: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 상품 등록
+app.post("/head/products", requireAuth("head"), async (req, res) => {
+  const { values, error } = readProductInput(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO products(head_office_id, name, category, price, unit, status)
+       VALUES($1,$2,$3,$4,$5,$6)
+       RETURNING ${PRODUCT_COLUMNS}`,
+      [req.auth.headOfficeId, values.name, values.category, values.price, values.unit, values.status || "ACTIVE"]
+    );
+    res.status(201).json({ success: true, product: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 상품 수정 (name / price / unit / category / status 중 넘어온 값만)
+app.patch("/head/products/:id", requireAuth("head"), async (req, res) => {
+  const productId = Number(req.params.id);
+  const { values, error } = readProductInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const cols = Object.keys(values);
+  if (!cols.length) return res.status(400).json({ success: false, message: "변경할 항목 없음" });
+
+  try {
+    const before = await pool.query(`SELECT ${cols.join(", ")} FROM products WHERE id=$1 AND head_office_id=$2`, [
+      productId,
+      req.auth.headOfficeId,
+    ]);
+    const r = await pool.query(
+      `UPDATE products SET ${cols.map((c, i) => `${c}=$${i + 3}`).join(", ")}
+       WHERE id=$1 AND head_office_id=$2 AND archived_at IS NULL
+       RETURNING ${PRODUCT_COLUMNS}`,
+      [productId, req.auth.headOfficeId, ...cols.map((c) => values[c])]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "상품 없음" });
+    auditTarget(req, { entityType: "product", entityId: productId, before: before.rows[0], after: values });
+    res.json({ success: true, product: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 상품 보관(삭제 대신): 주문이력 보존, 가맹점 목록에서 숨김
+app.delete("/head/products/:id", requireAuth("head"), async (req, res) => {
+  const productId = Number(req.params.id);
+  try {
+    const r = await pool.query(
+      `UPDATE products SET archived_at=COALESCE(archived_at, now()), status='INACTIVE'
+       WHERE id=$1 AND head_office_id=$2
+       RETURNING ${PRODUCT_COLUMNS}`,
+      [productId, req.auth.headOfficeId]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "상품 없음" });
+    auditTarget(req, { entityType: "product", entityId: productId, after: { status: "INACTIVE", archived: true } });
+    res.json({ success: true, product: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 상품 보관 해제: 보관 시 INACTIVE 로 바꾼 상태를 ACTIVE 로 되돌림 (재고 관리 중이고 0 이하면 SOLD_OUT)
+// (판매중지 상태로 복원하려면 이후 PATCH /head/products/:id 로 status 변경)
+app.post("/head/products/:id/restore", requireAuth("head"), async (req, res) => {
+  const productId = Number(req.params.id);
+  try {
+    const before = await pool.query(
+      "SELECT status, archived_at IS NOT NULL AS archived FROM products WHERE id=$1 AND head_office_id=$2",
+      [productId, req.auth.headOfficeId]
+    );
+    if (!before.rowCount) return res.status(404).json({ success: false, message: "상품 없음" });
+
+    const r = await pool.query(
+      `UPDATE products
+       SET archived_at=NULL,
+           status = CASE WHEN stock_qty IS NOT NULL AND stock_qty <= 0 THEN 'SOLD_OUT' ELSE 'ACTIVE' END
+       WHERE id=$1 AND head_office_id=$2 AND archived_at IS NOT NULL
+       RETURNING ${PRODUCT_COLUMNS}`,
+      [productId, req.auth.headOfficeId]
+    );
+    if (!r.rowCount) {
+      const p = await pool.query(`SELECT ${PRODUCT_COLUMNS} FROM products WHERE id=$1`, [productId]);
+      return res.json({ success: true, message: "이미 보관 해제된 상품", product: p.rows[0] });
+    }
+    auditTarget(req, {
+      entityType: "product",
+      entityId: productId,
+      before: before.rows[0],
+      after: { status: r.rows[0].status, archived: false },
+    });
+    res.json({ success: true, product: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 상품 이미지 업로드 (multipart field: image)
+app.post("/head/products/:id/image", requireAuth("head"), singleFile(imageUpload, "image"), async (req, res) => {
+  const productId = Number(req.params.id);
+  if (!req.file) return res.status(400).json({ success: false, message: "image 파일 필요(이미지 형식)" });
+
+  try {
+    const p = await pool.query("SELECT image_url, thumbnail_url FROM products WHERE id=$1 AND head_office_id=$2", [
+      productId,
+      req.auth.headOfficeId,
+    ]);
+    if (!p.rowCount) return res.status(404).json({ success: false, message: "상품 없음" });
+
+    let saved;
+    try {
+      saved = await saveProductImage(productId, req.file.buffer);
+    } catch (e) {
+      return res.status(400).json({ success: false, message: `이미지 처리 실패: ${e.message}` });
+    }
+
+    let r;
+    try {
+      r = await pool.query(
+        `UPDATE products SET image_url=$2, thumbnail_url=$3
+         WHERE id=$1 AND head_office_id=$4
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [productId, saved.imageUrl, saved.thumbnailUrl, req.auth.headOfficeId]
+      );
+    } catch (err) {
+      removeUploadedFile(saved.imageUrl);
+      removeUploadedFile(saved.thumbnailUrl);
+      throw err;
+    }
+    if (!r.rowCount) {
+      removeUploadedFile(saved.imageUrl);
+      removeUploadedFile(saved.thumbnailUrl);
+      return res.status(404).json({ success: false, message: "상품 없음" });
+    }
+
+    removeUploadedFile(p.rows[0].image_url);
+    removeUploadedFile(p.rows[0].thumbnail_url);
+    auditTarget(req, {
+      entityType: "product",
+      entityId: productId,
+      before: p.rows[0],
+      after: { image_url: saved.imageUrl, thumbnail_url: saved.thumbnailUrl },
+    });
+    res.json({ success: true, product: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사 재고 조정: body.delta(증감) 또는 body.stockQty(실사 수량으로 설정) 중 하나, stockQty=null 이면 재고 미관리로 전환
+app.patch("/head/products/:id/stock", requireAuth("head"), async (req, res) => {
+  const productId = Number(req.params.id);
+  const { delta, stockQty, memo } = req.body;
+  const hasStockQty = Object.prototype.hasOwnProperty.call(req.body, "stockQty");
+  const untrack = hasStockQty && stockQty === null;
+  const isInt = (v) => v !== "" && v !== null && typeof v !== "boolean" && Number.isInteger(Number(v));
+
+  if (hasStockQty && delta != null) {
+    return res.status(400).json({ success: false, message: "delta 와 stockQty 는 함께 보낼 수 없음" });
+  }
+  if (hasStockQty && !untrack && !(isInt(stockQty) && Number(stockQty) >= 0)) {
+    return res.status(400).json({ success: false, message: "stockQty는 0 이상 정수 또는 null" });
+  }
+  if (!hasStockQty && !isInt(delta)) {
+    return res.status(400).json({ success: false, message: "delta 또는 stockQty(정수) 필요" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const p = await client.query("SELECT id, stock_qty FROM products WHERE id=$1 AND head_office_id=$2 FOR UPDATE", [
+      productId,
+      req.auth.headOfficeId,
+    ]);
+    if (!p.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "상품 없음" });
+    }
+
+    if (untrack) {
+      await client.query("UPDATE products SET stock_qty=NULL WHERE id=$1", [productId]);
+    } else {
+      const current = p.rows[0].stock_qty;
+      // 재고 미관리 상품은 0에서 시작
+      if (current == null) await client.query("UPDATE products SET stock_qty=0 WHERE id=$1", [productId]);
+      const diff = stockQty != null ? Number(stockQty) - Number(current || 0) : Number(delta);
+      if (diff !== 0 || current == null) {
+        await moveStock(client, {
+          productId,
+          delta: diff,
+          reason: stockQty != null ? "STOCKTAKE" : "ADJUST",
+          actor: actorOf(req.auth),
+          memo: memo ? String(memo).trim() : null,
+        });
+      }
+    }
+
+    const r = await client.query("SELECT id, name, status, stock_qty FROM products WHERE id=$1", [productId]);
+    if (r.rows[0].stock_qty != null && r.rows[0].stock_qty < 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, message: "재고는 0 미만이 될 수 없음" });
+    }
+
+    await client.query("COMMIT");
+    auditTarget(req, {
+      entityType: "product",
+      entityId: productId,
+      before: { stock_qty: p.rows[0].stock_qty },
+      after: { stock_qty: r.rows[0].stock_qty },
+    });
+    res.json({ success: true, product: r.rows[0] });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// 본사 상품 주문규칙: 최소수량(minOrderQty) / 주문단위(orderMultiple) / 1회 최대수량(maxOrderQty), null 이면 해제
+app.patch("/head/products/:id/order-rules", requireAuth("head"), async (req, res) => {
+  const productId = Number(req.params.id);
+  const fields = { minOrderQty: "min_order_qty", orderMultiple: "order_multiple", maxOrderQty: "max_order_qty" };
+
+  const sets = [];
+  const params = [productId, req.auth.headOfficeId];
+  for (const [key, col] of Object.entries(fields)) {
+    if (!Object.prototype.hasOwnProperty.call(req.body, key)) continue;
+    const v = req.body[key];
+    if (v !== null && !(Number.isInteger(Number(v)) && Number(v) > 0)) {
+      return res.status(400).json({ success: false, message: `${key}는 1 이상 정수 또는 null` });
+    }
+    params.push(v === null ? null : Number(v));
+    sets.push(`${col}=$${params.length}`);
+  }
+  if (!sets.length) return res.status(400).json({ success: false, message: "변경할 규칙 없음" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await client.query(
+      `SELECT min_order_qty, order_multiple, max_order_qty FROM products WHERE id=$1 AND head_office_id=$2 FOR UPDATE`,
+      [productId, req.auth.headOfficeId]
+    );
+    const r = await client.query(
+      `UPDATE products SET ${sets.join(", ")}
+       WHERE id=$1 AND head_office_id=$2
+       RETURNING id, name, min_order_qty, order_multiple, max_order_qty`,
+      params
+    );
+    if (!r.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "상품 없음" });
+    }
+
+    const p = r.rows[0];
+    if (p.min_order_qty && p.max_order_qty && p.min_order_qty > p.max_order_qty) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, message: "최소수량이 최대수량보다 큼" });
+    }
+
+    await client.query("COMMIT");
+    auditTarget(req, { entityType: "product", entityId: productId, before: before.rows[0], after: p });
+    res.json({ success: true, product: p });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// 본사 재고 이력
+app.get("/head/products/:id/stock-history", requireAuth("head"), async (req, res) => {
+  const productId = Number(req.params.id);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+  try {
+    const r = await pool.query(
+      `SELECT m.id, m.change_qty, m.stock_after, m.reason, m.ref_type, m.ref_id, m.actor, m.memo,
+              to_char(m.created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+       FROM stock_movements m
+       JOIN products p ON p.id = m.product_id
+       WHERE m.product_id=$1 AND p.head_office_id=$2
+       ORDER BY m.id DESC
+       LIMIT $3`,
+      [productId, req.auth.headOfficeId, limit]
+    );
+    res.json({ success: true, items: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// ORDER SCHEDULE (본사 발주 마감/배송요일/휴일)
+// ----------------------------------------------------
+function parseWeekdays(v) {
+  if (v == null) return null;
+  if (!Array.isArray(v)) return undefined;
+  const days = [...new Set(v.map(Number))].sort((a, b) => a - b);
+  return days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6) ? days : undefined;
+}
+
+app.get("/head/order-schedule", requireAuth("head"), async (req, res) => {
+  try {
+    const schedule = await loadOrderSchedule(pool, req.auth.headOfficeId);
+    if (!schedule) return res.json({ success: true, schedule: null });
+
+    const { holidays, ...config } = schedule;
+    res.json({ success: true, schedule: config, preview: deliveryPreview(schedule) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 설정: cutoffTime('HH:MM' 또는 null), orderWeekdays([0-6] 또는 null=매일), deliveryWeekdays([0-6]),
+//       leadDays(기본 1), latePolicy('next'=다음 주문일로 접수 | 'reject'=주문 거절)
+app.put("/head/order-schedule", requireAuth("head"), async (req, res) => {
+  const { cutoffTime, leadDays = 1, latePolicy = "next" } = req.body;
+  const orderWeekdays = parseWeekdays(req.body.orderWeekdays);
+  const deliveryWeekdays = parseWeekdays(req.body.deliveryWeekdays);
+
+  if (cutoffTime != null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(cutoffTime))) {
+    return res.status(400).json({ success: false, message: "cutoffTime 형식: HH:MM" });
+  }
+  if (orderWeekdays === undefined || !deliveryWeekdays || !deliveryWeekdays.length) {
+    return res.status(400).json({ success: false, message: "요일은 0(일)~6(토) 배열, deliveryWeekdays 필수" });
+  }
+  if (!Number.isInteger(Number(leadDays)) || Number(leadDays) < 0) {
+    return res.status(400).json({ success: false, message: "leadDays는 0 이상 정수" });
+  }
+  if (latePolicy !== "next" && latePolicy !== "reject") {
+    return res.status(400).json({ success: false, message: "latePolicy: next | reject" });
+  }
+
+  try {
+    const prev = await loadOrderSchedule(pool, req.auth.headOfficeId);
+    await pool.query(
+      `INSERT INTO order_schedules(head_office_id, cutoff_time, order_weekdays, delivery_weekdays, lead_days, late_policy, updated_at)
+       VALUES($1,$2,$3,$4,$5,$6, now())
+       ON CONFLICT(head_office_id) DO UPDATE SET
+         cutoff_time=EXCLUDED.cutoff_time,
+         order_weekdays=EXCLUDED.order_weekdays,
+         delivery_weekdays=EXCLUDED.delivery_weekdays,
+         lead_days=EXCLUDED.lead_days,
+         late_policy=EXCLUDED.late_policy,
+         updated_at=now()`,
+      [req.auth.headOfficeId, cutoffTime || null, orderWeekdays, deliveryWeekdays, Number(leadDays), latePolicy]
+    );
+
+    const schedule = await loadOrderSchedule(pool, req.auth.headOfficeId);
+    const { holidays, ...config } = schedule;
+    auditTarget(req, {
+      entityType: "order_schedule",
+      entityId: req.auth.headOfficeId,
+      before: prev ? { ...prev, holidays: undefined } : null,
+      after: config,
+    });
+    res.json({ success: true, schedule: config, preview: deliveryPreview(schedule) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 마감/배송 제한 해제
+app.delete("/head/order-schedule", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `DELETE FROM order_schedules WHERE head_office_id=$1
+       RETURNING cutoff_time, order_weekdays, delivery_weekdays, lead_days, late_policy`,
+      [req.auth.headOfficeId]
+    );
+    auditTarget(req, {
+      entityType: "order_schedule",
+      entityId: req.auth.headOfficeId,
+      before: r.rows[0] || null,
+      after: null,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 휴일 목록 (본사 휴일 + 공통 공휴일)
+app.get("/head/holidays", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT to_char(holiday_date,'YYYY-MM-DD') AS date, name, (head_office_id IS NULL) AS common
+       FROM delivery_holidays
+       WHERE (head_office_id=$1 OR head_office_id IS NULL) AND holiday_date >= CURRENT_DATE - 31
+       ORDER BY holiday_date ASC`,
+      [req.auth.headOfficeId]
+    );
+    res.json({ success: true, holidays: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/head/holidays", requireAuth("head"), async (req, res) => {
+  const date = parseDateParam(req.body.date);
+  if (!date) return res.status(400).json({ success: false, message: "date 형식: YYYY-MM-DD" });
+
+  try {
+    const before = await pool.query("SELECT name FROM delivery_holidays WHERE head_office_id=$1 AND holiday_date=$2", [
+      req.auth.headOfficeId,
+      date,
+    ]);
+    const name = String(req.body.name || "").trim() || null;
+    await pool.query(
+      `INSERT INTO delivery_holidays(head_office_id, holiday_date, name)
+       VALUES($1,$2,$3)
+       ON CONFLICT((COALESCE(head_office_id, 0)), holiday_date) DO UPDATE SET name=EXCLUDED.name`,
+      [req.auth.headOfficeId, date, name]
+    );
+    auditTarget(req, {
+      entityType: "holiday",
+      entityId: date,
+      before: before.rows[0] ? { date, name: before.rows[0].name } : null,
+      after: { date, name },
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/head/holidays/:date", requireAuth("head"), async (req, res) => {
+  const date = parseDateParam(req.params.date);
+  if (!date) return res.status(400).json({ success: false, message: "date 형식: YYYY-MM-DD" });
+
+  try {
+    const r = await pool.query(
+      "DELETE FROM delivery_holidays WHERE head_office_id=$1 AND holiday_date=$2 RETURNING name",
+      [req.auth.headOfficeId, date]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "휴일 없음" });
+    auditTarget(req, { entityType: "holiday", entityId: date, before: { date, name: r.rows[0].name }, after: null });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// PRICE LISTS (본사 단가표: 가맹점/가맹점 그룹별 가격)
+// ----------------------------------------------------
+// 가맹점 그룹 목록 (+ 소속 가맹점 수)
+app.get("/head/store-groups", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT g.id, g.name, COUNT(s.id)::int AS store_count
+       FROM store_groups g
+       LEFT JOIN stores s ON s.store_group_id = g.id
+       WHERE g.head_office_id=$1
+       GROUP BY g.id
+       ORDER BY g.name ASC`,
+      [req.auth.headOfficeId]
+    );
+    res.json({ success: true, groups: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/head/store-groups", requireAuth("head"), async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  if (!name) return res.status(400).json({ success: false, message: "name 필요" });
+
+  try {
+    const r = await pool.query(
+      "INSERT INTO store_groups(head_office_id, name) VALUES($1,$2) RETURNING id, name",
+      [req.auth.headOfficeId, name]
+    );
+    auditTarget(req, { entityType: "store_group", entityId: r.rows[0].id, after: r.rows[0] });
+    res.status(201).json({ success: true, group: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/head/store-groups/:id", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query("DELETE FROM store_groups WHERE id=$1 AND head_office_id=$2 RETURNING id, name", [
+      Number(req.params.id),
+      req.auth.headOfficeId,
+    ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "그룹 없음" });
+    auditTarget(req, { entityType: "store_group", entityId: r.rows[0].id, before: r.rows[0], after: null });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 가맹점 그룹 지정 (storeGroupId=null 이면 해제)
+app.patch("/head/stores/:id/group", requireAuth("head"), async (req, res) => {
+  const storeId = parseIdParam(req.params.id);
+  const groupId = req.body.storeGroupId == null ? null : parseIdParam(req.body.storeGroupId);
+  if (!storeId || groupId === undefined) {
+    return res.status(400).json({ success: false, message: "가맹점 id / storeGroupId는 양의 정수(해제는 null)" });
+  }
+
+  try {
+    // 다른 본사의 그룹은 지정 불가
+    if (groupId != null) {
+      const g = await pool.query("SELECT 1 FROM store_groups WHERE id=$1 AND head_office_id=$2", [
+        groupId,
+        req.auth.headOfficeId,
+      ]);
+      if (!g.rowCount) return res.status(404).json({ success: false, message: "그룹 없음" });
+    }
+
+    const before = await pool.query("SELECT store_group_id FROM stores WHERE id=$1 AND head_office_id=$2", [
+      storeId,
+      req.auth.headOfficeId,
+    ]);
+    const r = await pool.query(
+      "UPDATE stores SET store_group_id=$3 WHERE id=$1 AND head_office_id=$2 RETURNING id, name, store_group_id",
+      [storeId, req.auth.headOfficeId, groupId]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "가맹점 없음" });
+    auditTarget(req, { entityType: "store", entityId: storeId, before: before.rows[0], after: r.rows[0] });
+    res.json({ success: true, store: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+const PRICE_LIST_COLUMNS = `id, name, active,
+       to_char(valid_from,'YYYY-MM-DD') AS valid_from,
+       to_char(valid_to,'YYYY-MM-DD') AS valid_to,
+       to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at`;
+
+// 단가표 목록
+app.get("/head/price-lists", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${PRICE_LIST_COLUMNS},
+              (SELECT COUNT(*)::int FROM price_list_items i WHERE i.price_list_id = pl.id) AS item_count,
+              (SELECT COUNT(*)::int FROM price_list_assignments a WHERE a.price_list_id = pl.id) AS assignment_count
+       FROM price_lists pl
+       WHERE head_office_id=$1
+       ORDER BY id DESC`,
+      [req.auth.headOfficeId]
+    );
+    res.json({ success: true, priceLists: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 단가표 상세 (품목 + 적용 대상)
+app.get("/head/price-lists/:id", requireAuth("head"), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const pl = await pool.query(`SELECT ${PRICE_LIST_COLUMNS} FROM price_lists WHERE id=$1 AND head_office_id=$2`, [
+      id,
+      req.auth.headOfficeId,
+    ]);
+    if (!pl.rowCount) return res.status(404).json({ success: false, message: "단가표 없음" });
+
+    const items = await pool.query(
+      `SELECT i.product_id, p.name, p.price AS base_price, i.price
+       FROM price_list_items i
+       JOIN products p ON p.id = i.product_id
+       WHERE i.price_list_id=$1
+       ORDER BY p.name ASC`,
+      [id]
+    );
+    const assignments = await pool.query(
+      `SELECT a.store_id, s.name AS store_name, a.store_group_id, g.name AS store_group_name
+       FROM price_list_assignments a
+       LEFT JOIN stores s ON s.id = a.store_id
+       LEFT JOIN store_groups g ON g.id = a.store_group_id
+       WHERE a.price_list_id=$1
+       ORDER BY a.id ASC`,
+      [id]
+    );
+    res.json({ success: true, priceList: pl.rows[0], items: items.rows, assignments: assignments.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 단가표 생성/수정 입력값: name, validFrom, validTo ('YYYY-MM-DD' 또는 null), active
+function readPriceListInput(body, { partial = false } = {}) {
+  const values = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!partial || has("name")) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name 필요" };
+    values.name = name;
+  }
+  for (const [key, col] of [
+    ["validFrom", "valid_from"],
+    ["validTo", "valid_to"],
+  ]) {
+    if (partial && !has(key)) continue;
+    const d = parseDateParam(body[key]);
+    if (d === undefined) return { error: `${key} 형식: YYYY-MM-DD` };
+    values[col] = d;
+  }
+  if (has("active")) values.active = Boolean(body.active);
+  if (values.valid_from && values.valid_to && values.valid_from > values.valid_to) {
+    return { error: "validFrom 이 validTo 보다 늦음" };
+  }
+  return { values };
+}
+
+app.post("/head/price-lists", requireAuth("head"), async (req, res) => {
+  const { values, error } = readPriceListInput(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO price_lists(head_office_id, name, valid_from, valid_to, active)
+       VALUES($1,$2,$3,$4,$5)
+       RETURNING ${PRICE_LIST_COLUMNS}`,
+      [req.auth.headOfficeId, values.name, values.valid_from, values.valid_to, values.active ?? true]
+    );
+    auditTarget(req, { entityType: "price_list", entityId: r.rows[0].id, after: r.rows[0] });
+    res.status(201).json({ success: true, priceList: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.patch("/head/price-lists/:id", requireAuth("head"), async (req, res) => {
+  const { values, error } = readPriceListInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const cols = Object.keys(values);
+  if (!cols.length) return res.status(400).json({ success: false, message: "변경할 항목 없음" });
+
+  try {
+    const before = await pool.query(`SELECT ${PRICE_LIST_COLUMNS} FROM price_lists WHERE id=$1 AND head_office_id=$2`, [
+      Number(req.params.id),
+      req.auth.headOfficeId,
+    ]);
+    const r = await pool.query(
+      `UPDATE price_lists SET ${cols.map((c, i) => `${c}=$${i + 3}`).join(", ")}
+       WHERE id=$1 AND head_office_id=$2
+       RETURNING ${PRICE_LIST_COLUMNS}`,
+      [Number(req.params.id), req.auth.headOfficeId, ...cols.map((c) => values[c])]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "단가표 없음" });
+    auditTarget(req, { entityType: "price_list", entityId: r.rows[0].id, before: before.rows[0], after: r.rows[0] });
+    res.json({ success: true, priceList: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/head/price-lists/:id", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `DELETE FROM price_lists WHERE id=$1 AND head_office_id=$2
+       RETURNING ${PRICE_LIST_COLUMNS}`,
+      [Number(req.params.id), req.auth.headOfficeId]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "단가표 없음" });
+    auditTarget(req, { entityType: "price_list", entityId: r.rows[0].id, before: r.rows[0], after: null });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 단가표 품목 등록/변경: items=[{ productId, price }], remove=[productId]
+app.put("/head/price-lists/:id/items", requireAuth("head"), async (req, res) => {
+  const id = Number(req.params.id);
+  const items = Array.isArray(req.body.items) ? req.body.items : [];
+  const remove = Array.isArray(req.body.remove) ? req.body.remove.map(Number) : [];
+  if (!remove.every(Number.isInteger)) {
+    return res.status(400).json({ success: false, message: "remove는 상품 id(정수) 배열" });
+  }
+
+  for (const it of items) {
+    const price = Number(it?.price);
+    if (!Number.isInteger(Number(it?.productId)) || it?.price === "" || !Number.isFinite(price) || price < 0) {
+      return res.status(400).json({ success: false, message: `품목 오류: ${JSON.stringify(it)}` });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const pl = await client.query("SELECT 1 FROM price_lists WHERE id=$1 AND head_office_id=$2", [
+      id,
+      req.auth.headOfficeId,
+    ]);
+    if (!pl.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "단가표 없음" });
+    }
+
+    const productIds = items.map((it) => Number(it.productId));
+    const own = await client.query("SELECT id FROM products WHERE id = ANY($1::int[]) AND head_office_id=$2", [
+      productIds,
+      req.auth.headOfficeId,
+    ]);
+    const ownIds = new Set(own.rows.map((p) => p.id));
+    const foreign = productIds.filter((pid) => !ownIds.has(pid));
+    if (foreign.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, message: `본사 상품이 아님: ${foreign.join(",")}` });
+    }
+
+    // 변경 대상 품목의 변경 전/후 단가 (감사로그)
+    const touched = [...productIds, ...remove];
+    const pricesOf = async () => {
+      const r = await client.query(
+        "SELECT product_id, price FROM price_list_items WHERE price_list_id=$1 AND product_id = ANY($2::int[])",
+        [id, touched]
+      );
+      return Object.fromEntries(r.rows.map((x) => [x.product_id, Number(x.price)]));
+    };
+    const before = await pricesOf();
+
+    for (const it of items) {
+      await client.query(
+        `INSERT INTO price_list_items(price_list_id, product_id, price)
+         VALUES($1,$2,$3)
+         ON CONFLICT(price_list_id, product_id) DO UPDATE SET price=EXCLUDED.price`,
+        [id, Number(it.productId), Number(it.price)]
+      );
+    }
+    if (remove.length) {
+      await client.query("DELETE FROM price_list_items WHERE price_list_id=$1 AND product_id = ANY($2::int[])", [
+        id,
+        remove,
+      ]);
+    }
+
+    const after = await pricesOf();
+
+    await client.query("COMMIT");
+    auditTarget(req, { entityType: "price_list", entityId: id, before: { items: before }, after: { items: after } });
+    res.json({ success: true, upserted: items.length, removed: remove.length });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// 단가표 적용 대상 지정(전체 교체): storeIds=[], storeGroupIds=[]
+app.put("/head/price-lists/:id/assignments", requireAuth("head"), async (req, res) => {
+  const id = Number(req.params.id);
+  const storeIds = (Array.isArray(req.body.storeIds) ? req.body.storeIds : []).map(Number);
+  const groupIds = (Array.isArray(req.body.storeGroupIds) ? req.body.storeGroupIds : []).map(Number);
+  const headOfficeId = req.auth.headOfficeId;
+  if (![...storeIds, ...groupIds].every(Number.isInteger)) {
+    return res.status(400).json({ success: false, message: "storeIds/storeGroupIds는 정수 배열" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const pl = await client.query("SELECT 1 FROM price_lists WHERE id=$1 AND head_office_id=$2", [id, headOfficeId]);
+    if (!pl.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "단가표 없음" });
+    }
+
+    const s = await client.query("SELECT COUNT(*)::int AS n FROM stores WHERE id = ANY($1::int[]) AND head_office_id=$2", [
+      storeIds,
+      headOfficeId,
+    ]);
+    const g = await client.query(
+      "SELECT COUNT(*)::int AS n FROM store_groups WHERE id = ANY($1::int[]) AND head_office_id=$2",
+      [groupIds, headOfficeId]
+    );
+    if (s.rows[0].n !== new Set(storeIds).size || g.rows[0].n !== new Set(groupIds).size) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, message: "본사 소속이 아닌 가맹점/그룹 포함" });
+    }
+
+    const before = await client.query(
+      `DELETE FROM price_list_assignments WHERE price_list_id=$1
+       RETURNING store_id, store_group_id`,
+      [id]
+    );
+    for (const sid of new Set(storeIds)) {
+      await client.query("INSERT INTO price_list_assignments(price_list_id, store_id) VALUES($1,$2)", [id, sid]);
+    }
+    for (const gid of new Set(groupIds)) {
+      await client.query("INSERT INTO price_list_assignments(price_list_id, store_group_id) VALUES($1,$2)", [id, gid]);
+    }
+
+    await client.query("COMMIT");
+    auditTarget(req, {
+      entityType: "price_list",
+      entityId: id,
+      before: {
+        storeIds: before.rows.filter((a) => a.store_id != null).map((a) => a.store_id),
+        storeGroupIds: before.rows.filter((a) => a.store_group_id != null).map((a) => a.store_group_id),
+      },
+      after: { storeIds: [...new Set(storeIds)], storeGroupIds: [...new Set(groupIds)] },
+    });
+    res.json({ success: true, stores: new Set(storeIds).size, storeGroups: new Set(groupIds).size });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ----------------------------------------------------
+// CART / ORDER TEMPLATES (가맹점 장바구니 / 정기주문 템플릿)
+// ----------------------------------------------------
+// items → [{ productId, qty }] (형식 오류면 null, 상품/수량 규칙은 주문 시 placeOrder 에서 검증)
+function normalizeCartItems(items) {
+  if (!Array.isArray(items) || items.length > 200) return null;
+  const out = items.map((it) => ({ productId: Number(it?.productId), qty: Number(it?.qty) }));
+  return out.every((it) => Number.isInteger(it.productId) && it.productId > 0 && Number.isFinite(it.qty)) ? out : null;
+}
+
+// 장바구니/템플릿 품목에 현재 상품정보 + 적용 단가 붙이기
+async function describeCartItems(storeId, headOfficeId, items) {
+  const ids = items.map((it) => it.productId);
+  const p = await pool.query(
+    `SELECT id, name, unit, status, price, thumbnail_url, archived_at IS NOT NULL AS archived
+     FROM products
+     WHERE id = ANY($1::int[]) AND head_office_id=$2`,
+    [ids, headOfficeId]
+  );
+  const prices = await resolveStorePrices(pool, storeId, ids);
+  const byId = new Map(p.rows.map((x) => [x.id, x]));
+
+  let total = 0;
+  const lines = items.map((it) => {
+    const prod = byId.get(it.productId);
+    if (!prod) return { ...it, available: false };
+    const unitPrice = Number(prices.get(it.productId)?.price ?? prod.price);
+    const lineTotal = unitPrice * it.qty;
+    total += lineTotal;
+    return {
+      ...it,
+      name: prod.name,
+      unit: prod.unit,
+      status: prod.status,
+      thumbnail_url: prod.thumbnail_url,
+      unitPrice,
+      lineTotal,
+      available: prod.status === "ACTIVE" && !prod.archived,
+    };
+  });
+  return { items: lines, total };
+}
+
+// 템플릿 주문 실행 + 결과 기록 (포인트 부족 등 실패도 run 으로 남김)
+// trigger: 'manual' | 'schedule'
+async function submitOrderTemplate(template, { trigger, actor }) {
+  const result = await placeOrder({ storeId: template.store_id, items: template.items, actor });
+  const status = result.ok ? "ORDERED" : result.code || "ERROR";
+  const message = result.ok ? null : result.message || result.error || null;
+
+  const run = await pool.query(
+    `INSERT INTO order_template_runs(template_id, store_id, trigger, status, order_id, message, details)
+     VALUES($1,$2,$3,$4,$5,$6,$7)
+     RETURNING id, status, order_id, message, to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at`,
+    [
+      template.id,
+      template.store_id,
+      trigger,
+      status,
+      result.orderId || null,
+      message,
+      JSON.stringify(
+        result.ok ? { total: result.total } : { errors: result.errors, needed: result.needed, missing: result.missing }
+      ),
+    ]
+  );
+  await pool.query("UPDATE order_templates SET last_run_at=now(), last_run_status=$2 WHERE id=$1", [
+    template.id,
+    status,
+  ]);
+
+  return { run: run.rows[0], result };
+}
+
+// 자동주문: 오늘(KST) 요일/시각이 된 템플릿을 하루 1회 실행 (last_run_date 로 선점 → 다중 서버 중복 방지)
+// 실패(포인트 부족 등)는 order_template.failed 이벤트 → 가맹점/본사 스트림 + 웹훅으로 알림
+async function runDueOrderTemplates() {
+  const { date, time } = nowKst();
+  const due = await pool.query(
+    `UPDATE order_templates
+     SET last_run_date=$1
+     WHERE active AND auto_submit
+       AND $2 = ANY(schedule_weekdays)
+       AND to_char(schedule_time,'HH24:MI') <= $3
+       AND (last_run_date IS NULL OR last_run_date < $1)
+       AND EXISTS (SELECT 1 FROM stores s WHERE s.id = order_templates.store_id AND s.status = 'ACTIVE')
+     RETURNING id, store_id, name, items`,
+    [date, weekdayOf(date), time]
+  );
+
+  for (const t of due.rows) {
+    const { run, result } = await submitOrderTemplate(t, { trigger: "schedule", actor: `template#${t.id}` });
+    if (run.status === "ORDERED") continue;
+
+    await publishEvent(pool, {
+      type: "order_template.failed",
+      headOfficeId: await storeHeadOfficeId(pool, t.store_id),
+      data: {
+        templateId: t.id,
+        templateName: t.name,
+        storeId: t.store_id,
+        runId: run.id,
+        trigger: "schedule",
+        status: run.status,
+        message: run.message,
+        needed: result.needed ?? null,
+        missing: result.missing ?? null,
+      },
+    }).catch((err) => console.error(`❌ 자동주문 실패 알림 기록 실패(template#${t.id}):`, err.message));
+  }
+  return due.rowCount;
+}
+
+const TEMPLATE_COLUMNS = `id, name, items, auto_submit, schedule_weekdays,
+       to_char(schedule_time,'HH24:MI') AS schedule_time, active, last_run_status,
+       to_char(last_run_at,'YYYY-MM-DD HH24:MI:SS') AS last_run_at,
+       to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at`;
+
+// 템플릿 입력값: name, items, autoSubmit, scheduleWeekdays([0-6]), scheduleTime('HH:MM'), active
+function readTemplateInput(body, { partial = false } = {}) {
+  const values = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!partial || has("name")) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name 필요" };
+    values.name = name;
+  }
+  if (!partial || has("items")) {
+    const items = normalizeCartItems(body.items);
+    if (!items || !items.length) return { error: "items 형식 오류" };
+    values.items = JSON.stringify(items);
+  }
+  if (has("autoSubmit")) values.auto_submit = Boolean(body.autoSubmit);
+  if (has("active")) values.active = Boolean(body.active);
+  if (has("scheduleWeekdays")) {
+    const days = parseWeekdays(body.scheduleWeekdays);
+    if (days === undefined) return { error: "scheduleWeekdays는 0(일)~6(토) 배열" };
+    values.schedule_weekdays = days;
+  }
+  if (has("scheduleTime")) {
+    if (body.scheduleTime != null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(body.scheduleTime))) {
+      return { error: "scheduleTime 형식: HH:MM" };
+    }
+    values.schedule_time = body.scheduleTime || null;
+  }
+  return { values };
+}
+
+// 장바구니 조회 (현재 단가로 재계산)
+app.get("/cart", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      "SELECT items, to_char(updated_at,'YYYY-MM-DD HH24:MI:SS') AS updated_at FROM store_carts WHERE store_id=$1",
+      [req.auth.storeId]
+    );
+    const items = r.rows[0]?.items || [];
+    const cart = await describeCartItems(req.auth.storeId, req.auth.headOfficeId, items);
+    res.json({ success: true, cart: { ...cart, updated_at: r.rows[0]?.updated_at || null } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 장바구니 저장(전체 교체)
+app.put("/cart", requireAuth("store"), async (req, res) => {
+  const items = normalizeCartItems(req.body.items);
+  if (!items) return res.status(400).json({ success: false, message: "items 형식 오류" });
+
+  try {
+    await pool.query(
+      `INSERT INTO store_carts(store_id, items, updated_at) VALUES($1,$2, now())
+       ON CONFLICT(store_id) DO UPDATE SET items=EXCLUDED.items, updated_at=now()`,
+      [req.auth.storeId, JSON.stringify(items)]
+    );
+    const cart = await describeCartItems(req.auth.storeId, req.auth.headOfficeId, items);
+    res.json({ success: true, cart });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/cart", requireAuth("store"), async (req, res) => {
+  try {
+    await pool.query("DELETE FROM store_carts WHERE store_id=$1", [req.auth.storeId]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 장바구니 주문 → 성공 시 장바구니 비움
+app.post("/cart/submit", requireAuth("store"), async (req, res) => {
+  try {
+    // updated_at 은 text 로 받아 마이크로초까지 비교 (주문 중 수정된 장바구니는 지우지 않음)
+    const r = await pool.query("SELECT items, updated_at::text AS version FROM store_carts WHERE store_id=$1", [
+      req.auth.storeId,
+    ]);
+    const items = r.rows[0]?.items || [];
+
+    const { ok, status, ...result } = await placeOrder({
+      storeId: req.auth.storeId,
+      items,
+      actor: actorOf(req.auth),
+    });
+    if (!ok) return res.status(status || 500).json({ success: false, ...result });
+
+    await pool.query("DELETE FROM store_carts WHERE store_id=$1 AND updated_at = $2::timestamptz", [
+      req.auth.storeId,
+      r.rows[0]?.version ?? null,
+    ]);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/templates", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM order_templates WHERE store_id=$1 ORDER BY id DESC`, [
+      req.auth.storeId,
+    ]);
+    res.json({ success: true, templates: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 템플릿 상세 (현재 단가로 재계산한 품목)
+app.get("/templates/:id", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM order_templates WHERE id=$1 AND store_id=$2`, [
+      Number(req.params.id),
+      req.auth.storeId,
+    ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "템플릿 없음" });
+
+    const priced = await describeCartItems(req.auth.storeId, req.auth.headOfficeId, r.rows[0].items);
+    res.json({ success: true, template: { ...r.rows[0], ...priced } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/templates", requireAuth("store"), async (req, res) => {
+  const { values, error } = readTemplateInput(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+  if (values.auto_submit && (!values.schedule_weekdays?.length || !values.schedule_time)) {
+    return res.status(400).json({ success: false, message: "자동주문은 scheduleWeekdays/scheduleTime 필요" });
+  }
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO order_templates(store_id, name, items, auto_submit, schedule_weekdays, schedule_time, active)
+       VALUES($1,$2,$3,$4,$5,$6,$7)
+       RETURNING ${TEMPLATE_COLUMNS}`,
+      [
+        req.auth.storeId,
+        values.name,
+        values.items,
+        values.auto_submit ?? false,
+        values.schedule_weekdays ?? null,
+        values.schedule_time ?? null,
+        values.active ?? true,
+      ]
+    );
+    res.status(201).json({ success: true, template: r.rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.patch("/templates/:id", requireAuth("store"), async (req, res) => {
+  const { values, error } = readTemplateInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const cols = Object.keys(values);
+  if (!cols.length) return res.status(400).json({ success: false, message: "변경할 항목 없음" });
+
+  try {
+    const r = await pool.query(
+      `UPDATE order_templates SET ${cols.map((c, i) => `${c}=$${i + 3}`).join(", ")}, updated_at=now()
+       WHERE id=$1 AND store_id=$2
+       RETURNING ${TEMPLATE_COLUMNS}`,
+      [Number(req.params.id), req.auth.storeId, ...cols.map((c) => values[c])]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "템플릿 없음" });
+
+    const t = r.rows[0];
+    if (t.auto_submit && (!t.schedule_weekdays?.length || !t.schedule_time)) {
+      await pool.query("UPDATE order_templates SET auto_submit=false WHERE id=$1", [t.id]);
+      return res.status(400).json({
+        success: false,
+        message: "자동주문은 scheduleWeekdays/scheduleTime 필요 (자동주문 해제됨)",
+      });
+    }
+    res.json({ success: true, template: t });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/templates/:id", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query("DELETE FROM order_templates WHERE id=$1 AND store_id=$2", [
+      Number(req.params.id),
+      req.auth.storeId,
+    ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "템플릿 없음" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 템플릿으로 바로 주문 (body.dryRun=true 면 현재 기준 검증/금액만 확인)
+app.post("/templates/:id/submit", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query("SELECT id, store_id, items FROM order_templates WHERE id=$1 AND store_id=$2", [
+      Number(req.params.id),
+      req.auth.storeId,
+    ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "템플릿 없음" });
+
+    if (req.body?.dryRun) {
+      const { ok, status, ...preview } = await placeOrder({
+        storeId: req.auth.storeId,
+        items: r.rows[0].items,
+        actor: actorOf(req.auth),
+        dryRun: true,
+      });
+      if (!ok) return res.status(status || 500).json({ success: false, ...preview });
+      return res.json({ success: true, ...preview });
+    }
+
+    const { run, result } = await submitOrderTemplate(r.rows[0], { trigger: "manual", actor: actorOf(req.auth) });
+    const { ok, status, ...rest } = result;
+    if (!ok) return res.status(status || 500).json({ success: false, run, ...rest });
+    res.json({ success: true, run, ...rest });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 템플릿 품목을 장바구니로 불러오기(교체)
+app.post("/templates/:id/to-cart", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query("SELECT items FROM order_templates WHERE id=$1 AND store_id=$2", [
+      Number(req.params.id),
+      req.auth.storeId,
+    ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "템플릿 없음" });
+
+    await pool.query(
+      `INSERT INTO store_carts(store_id, items, updated_at) VALUES($1,$2, now())
+       ON CONFLICT(store_id) DO UPDATE SET items=EXCLUDED.items, updated_at=now()`,
+      [req.auth.storeId, JSON.stringify(r.rows[0].items)]
+    );
+    const cart = await describeCartItems(req.auth.storeId, req.auth.headOfficeId, r.rows[0].items);
+    res.json({ success: true, cart });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 템플릿 실행 이력 (ORDERED / INSUFFICIENT_POINTS / INVALID_ITEMS / OUTSIDE_ORDER_WINDOW ...)
+app.get("/templates/:id/runs", requireAuth("store"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT id, trigger, status, order_id, message, details,
+              to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+       FROM order_template_runs
+       WHERE template_id=$1 AND store_id=$2
+       ORDER BY id DESC
+       LIMIT 50`,
+      [Number(req.params.id), req.auth.storeId]
+    );
+    res.json({ success: true, runs: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// WALLET / TOPUP / LEDGER
+// ----------------------------------------------------
+app.get("/wallet", requireAuth("store"), async (req, res) => {
+  const { storeId } = req.auth;
+
+  try {
+    const r = await pool.query(
+      `SELECT store_id, balance, to_char(updated_at, 'YYYY-MM-DD HH24:MI:SS') AS updated_at
+       FROM store_wallets
+       WHERE store_id = $1`,
+      [storeId]
+    );
+
+    if (r.rows.length === 0) {
+      return res.json({ success: true, wallet: { store_id: storeId, balance: 0 } });
+    }
+    return res.json({ success: true, wallet: r.rows[0] });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 포인트 충전 요청 생성 + deposit_code 생성/저장/반환
+app.post("/topups/request", requireAuth("store"), async (req, res) => {
+  const { amount, depositorName } = req.body;
+
+  const sid = req.auth.storeId;
+  const amt = Number(amount);
+
+  if (!amt || amt <= 0) {
+    return res.status(400).json({ success: false, message: "amount 필요(0보다 커야 함)" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const s = await client.query("SELECT id, head_office_id, merchant_code FROM stores WHERE id=$1", [sid]);
+    if (s.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "store 없음" });
+    }
+    const headOfficeId = Number(s.rows[0].head_office_id);
+    const merchantCode = s.rows[0].merchant_code;
+
+    const gate = await checkProfileGate(client, sid);
+    if (!gate.ok) {
+      await client.query("ROLLBACK");
+      const { ok, status, ...rest } = gate;
+      return res.status(status).json({ success: false, ...rest });
+    }
+
+    const prof = await client.query("SELECT depositor_name FROM store_profiles WHERE store_id=$1", [sid]);
+    const depositor = depositorName || (prof.rows[0]?.depositor_name ?? null);
+
+    const r = await client.query(
+      `INSERT INTO point_topups (store_id, amount, depositor_name, status)
+       VALUES ($1, $2, $3, 'requested')
+       RETURNING id, store_id, amount, status, depositor_name,
+                 to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at`,
+      [sid, amt, depositor]
+    );
+
+    const topupId = Number(r.rows[0].id);
+
+    const depositCode = makeDepositCode(headOfficeId, sid, topupId);
+    await client.query("UPDATE point_topups SET deposit_code=$1 WHERE id=$2", [depositCode, topupId]);
+
+    await publishEvent(client, {
+      type: "topup.requested",
+      headOfficeId,
+      data: { topupId, storeId: sid, amount: amt, depositorName: depositor, depositCode },
+    });
+
+    await client.query("COMMIT");
+
+    const depositGuide = {
+      bank: DEPOSIT.bank,
+      account: DEPOSIT.account,
+      holder: DEPOSIT.holder,
+      depositCode,
+      memoRule: `받는통장표시(메모)에 ${depositCode} 입력`,
+      depositorRule: `입금자명(권장): ${merchantCode}`,
+    };
+
+    return res.json({ success: true, topup: { ...r.rows[0], deposit_code: depositCode }, depositGuide });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    return res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// 가맹점 충전요청 목록: status, from/to(요청일), limit/cursor
+app.get("/topups", requireAuth("store"), async (req, res) => {
+  const { storeId } = req.auth;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, message: "from/to 형식: YYYY-MM-DD" });
+  }
+  const page = readPageParams(req.query);
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+
+  try {
+    const filter = `store_id = $1
+         AND ($2::text IS NULL OR status = $2)
+         AND ($3::date IS NULL OR created_at >= $3::date)
+         AND ($4::date IS NULL OR created_at < $4::date + 1)`;
+    const params = [storeId, req.query.status || null, from, to];
+
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM point_topups WHERE ${filter}`, params);
+    const r = await pool.query(
+      `SELECT id, store_id, amount, paid_amount, status,
+              depositor_name,
+              deposit_code,
+              to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at,
+              to_char(paid_at, 'YYYY-MM-DD HH24:MI:SS') AS paid_at,
+              to_char(cancelled_at, 'YYYY-MM-DD HH24:MI:SS') AS cancelled_at,
+              to_char(expired_at, 'YYYY-MM-DD HH24:MI:SS') AS expired_at
+       FROM point_topups
+       WHERE ${filter}
+         AND ($5::int IS NULL OR id < $5)
+       ORDER BY id DESC
+       LIMIT $6`,
+      [...params, page.cursor, page.limit + 1]
+    );
+    const { rows, pageInfo } = pageOf(r.rows, page.limit, count.rows[0].total);
+    return res.json({ success: true, topups: rows, pageInfo });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 가맹점: 충전요청 취소 (입금 전 requested 상태만)
+app.post("/topups/:id/cancel", requireAuth("store"), async (req, res) => {
+  const topupId = Number(req.params.id);
+  if (!topupId) return res.status(400).json({ success: false, message: "topupId 필요" });
+
+  try {
+    const r = await pool.query(
+      `UPDATE point_topups
+       SET status='cancelled', cancelled_at=now()
+       WHERE id=$1 AND store_id=$2 AND status='requested'
+       RETURNING id, status`,
+      [topupId, req.auth.storeId]
+    );
+    if (r.rowCount) return res.json({ success: true, topup: r.rows[0] });
+
+    const t = await pool.query("SELECT status FROM point_topups WHERE id=$1 AND store_id=$2", [
+      topupId,
+      req.auth.storeId,
+    ]);
+    if (!t.rowCount) return res.status(404).json({ success: false, message: "topup 없음" });
+    if (t.rows[0].status === "cancelled") return res.json({ success: true, topup: { id: topupId, status: "cancelled" } });
+    return res.status(400).json({ success: false, message: `취소 불가 상태: ${t.rows[0].status}` });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 마스터: 만료 처리 즉시 실행 (스케줄러와 동일)
+app.post("/admin/topups/expire", requireFinance, async (req, res) => {
+  try {
+    const ids = await expireStaleTopups();
+    auditTarget(req, {
+      entityType: "topup",
+      entityId: ids.length === 1 ? ids[0] : null,
+      before: { status: "requested", ids },
+      after: { status: "expired", ids },
+    });
+    res.json({ success: true, expired: ids.length, days: TOPUP_EXPIRE_DAYS });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 마스터: 충전 승인(수동)
+app.post("/admin/topups/:id/mark-paid", requireFinance, async (req, res) => {
+  const topupId = Number(req.params.id);
+  if (!topupId) return res.status(400).json({ success: false, message: "topupId 필요" });
+
+  // body.amount: 실제 확인된 입금액(선택) — 없으면 요청금액 전액 승인
+  const amount = req.body?.amount != null && req.body.amount !== "" ? Number(req.body.amount) : null;
+  if (amount != null && !(amount > 0)) {
+    return res.status(400).json({ success: false, message: "amount는 0보다 커야 함" });
+  }
+
+  try {
+    const before = await pool.query("SELECT id, store_id, amount, paid_amount, status FROM point_topups WHERE id=$1", [
+      topupId,
+    ]);
+    const result = await applyTopupPaid({
+      topupId,
+      memo: "관리자 입금확인 충전",
+      refType: "TOPUP",
+      receivedAmount: amount,
+    });
+    auditTarget(req, { entityType: "topup", entityId: topupId, before: before.rows[0] || null, after: result });
+
+    if (!result.ok) return res.status(result.status || 500).json({ success: false, message: result.message });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 가맹점 포인트 내역: type, refType, from/to, limit/cursor (원장은 커질 수 있어 total 없음)
+app.get("/points/history", requireAuth("store"), async (req, res) => {
+  const { storeId } = req.auth;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, message: "from/to 형식: YYYY-MM-DD" });
+  }
+  const page = readPageParams(req.query);
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+
+  try {
+    const r = await pool.query(
+      `SELECT id, type, amount, ref_type, ref_id, memo,
+              to_char(created_at,'YYYY-MM-DD') as date,
+              to_char(created_at,'YYYY-MM-DD HH24:MI:SS') as created_at
+       FROM point_ledger
+       WHERE store_id=$1
+         AND ($2::text IS NULL OR type = $2)
+         AND ($3::text IS NULL OR ref_type = $3)
+         AND ($4::date IS NULL OR created_at >= $4::date)
+         AND ($5::date IS NULL OR created_at < $5::date + 1)
+         AND ($6::bigint IS NULL OR id < $6)
+       ORDER BY id DESC
+       LIMIT $7`,
+      [
+        storeId,
+        req.query.type ? String(req.query.type).toUpperCase() : null,
+        req.query.refType ? String(req.query.refType).toUpperCase() : null,
+        from,
+        to,
+        page.cursor,
+        page.limit + 1,
+      ]
+    );
+    const { rows, pageInfo } = pageOf(r.rows, page.limit);
+    res.json({ success: true, items: rows, pageInfo });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 가맹점 포인트 내역 엑셀 다운로드 (기간: from~to, 거래후 잔액 포함)
+app.get("/points/history/export", requireAuth("store"), async (req, res) => {
+  const { storeId } = req.auth;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, message: "from/to 형식: YYYY-MM-DD" });
+  }
+
+  try {
+    const r = await pool.query(
+      `SELECT * FROM (
+         SELECT id, type, amount, ref_type, ref_id, memo, created_at,
+                to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at_text,
+                SUM(amount) OVER (ORDER BY id) AS balance_after
+         FROM point_ledger
+         WHERE store_id=$1
+       ) l
+       WHERE ($2::date IS NULL OR l.created_at >= $2::date)
+         AND ($3::date IS NULL OR l.created_at < $3::date + 1)
+       ORDER BY l.id ASC`,
+      [storeId, from, to]
+    );
+
+    const rows = r.rows.map((x) => ({
+      일시: x.created_at_text,
+      구분: x.type,
+      금액: Number(x.amount),
+      거래후잔액: Number(x.balance_after),
+      참조: x.ref_type ? `${x.ref_type}#${x.ref_id}` : "",
+      메모: x.memo || "",
+    }));
+    sendExcel(res, `points_${storeId}_${from || "all"}_${to || "all"}.xlsx`, rows, "포인트내역");
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// PROFILE
+// - 사업자번호(체크섬)/이메일/전화 검증 + 표준 형식으로 저장
+// - 수정할 때마다 store_profile_versions 에 스냅샷 (세무정보 변경 추적)
+// - 본사가 require_complete_profile 을 켜면 필수항목 누락 시 발주/충전요청 차단
+// ----------------------------------------------------
+// 사업자등록번호 10자리 체크섬 → 'XXX-XX-XXXXX' (오류면 null)
+function normalizeBusinessNo(v) {
+  const d = String(v).replace(/\D/g, "");
+  if (d.length !== 10) return null;
+
+  const weights = [1, 3, 7, 1, 3, 7, 1, 3, 5];
+  let sum = weights.reduce((acc, w, i) => acc + Number(d[i]) * w, 0);
+  sum += Math.floor((Number(d[8]) * 5) / 10);
+  if ((10 - (sum % 10)) % 10 !== Number(d[9])) return null;
+
+  return `${d.slice(0, 3)}-${d.slice(3, 5)}-${d.slice(5)}`;
+}
+
+function normalizeEmail(v) {
+  const e = String(v).trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(e) ? e : null;
+}
+
+// 국내 전화번호 → 하이픈 형식 (02 / 0XX 지역·휴대폰 / 15XX 대표번호)
+function normalizePhone(v) {
+  const d = String(v).replace(/\D/g, "");
+  if (/^02\d{7,8}$/.test(d)) return `02-${d.slice(2, d.length - 4)}-${d.slice(-4)}`;
+  if (/^0[1-9]\d{8,9}$/.test(d)) return `${d.slice(0, 3)}-${d.slice(3, d.length - 4)}-${d.slice(-4)}`;
+  if (/^1[5-9]\d{6}$/.test(d)) return `${d.slice(0, 4)}-${d.slice(4)}`;
+  return null;
+}
+
+// [body 키, 컬럼, 정규화(null=형식 오류)]
+const PROFILE_FIELDS = [
+  ["businessNo", "business_no", normalizeBusinessNo, "사업자등록번호 오류(10자리/체크섬)"],
+  ["companyName", "company_name"],
+  ["ceoName", "ceo_name"],
+  ["businessAddress", "business_address"],
+  ["businessType", "business_type"],
+  ["businessItem", "business_item"],
+  ["email", "email", normalizeEmail, "이메일 형식 오류"],
+  ["phone", "phone", normalizePhone, "전화번호 형식 오류"],
+  ["depositorName", "depositor_name"],
+];
+
+// 본사가 필수로 요구할 수 있는 항목 (세금계산서 발행 기준)
+const REQUIRED_PROFILE_FIELDS = ["business_no", "company_name", "ceo_name", "business_address", "email"];
+
+function readProfileInput(body) {
+  const values = {};
+  const errors = [];
+  for (const [key, col, normalize, message] of PROFILE_FIELDS) {
+    const raw = body[key] == null ? "" : String(body[key]).trim();
+    if (!raw) {
+      values[col] = null;
+      continue;
+    }
+    const v = normalize ? normalize(raw) : raw;
+    if (v == null) errors.push({ field: key, message });
+    values[col] = v;
+  }
+  return { values, errors };
+}
+
+function missingProfileFields(profile) {
+  return REQUIRED_PROFILE_FIELDS.filter((col) => !profile?.[col]);
+}
+
+// 발주/충전요청 전 프로필 필수항목 확인 (본사 설정이 꺼져 있으면 통과)
+async function checkProfileGate(db, storeId) {
+  const r = await db.query(
+    `SELECT ho.require_complete_profile, sp.*
+     FROM stores s
+     JOIN head_offices ho ON ho.id = s.head_office_id
+     LEFT JOIN store_profiles sp ON sp.store_id = s.id
+     WHERE s.id=$1`,
+    [storeId]
+  );
+  if (!r.rowCount || !r.rows[0].require_complete_profile) return { ok: true };
+
+  const missing = missingProfileFields(r.rows[0]);
+  if (!missing.length) return { ok: true };
+  return {
+    ok: false,
+    status: 403,
+    code: "PROFILE_INCOMPLETE",
+    message: "사업자 정보(프로필) 필수항목 입력 필요",
+    missing,
+  };
+}
+
+app.get("/profile", requireAuth("store"), async (req, res) => {
+  const { storeId } = req.auth;
+
+  try {
+    const r = await pool.query("SELECT * FROM store_profiles WHERE store_id=$1", [storeId]);
+    const gate = await checkProfileGate(pool, storeId);
+    const profile = r.rows[0] || null;
+    res.json({
+      success: true,
+      profile,
+      missing: missingProfileFields(profile),
+      blocked: !gate.ok,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/profile/upsert", requireAuth("store"), async (req, res) => {
+  const { storeId } = req.auth;
+  const { values, errors } = readProfileInput(req.body);
+  if (errors.length) return res.status(400).json({ success: false, message: "입력값 오류", errors });
+
+  const cols = PROFILE_FIELDS.map(([, col]) => col);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const cur = await client.query("SELECT * FROM store_profiles WHERE store_id=$1 FOR UPDATE", [storeId]);
+    const changed = cols.filter((col) => (cur.rows[0]?.[col] ?? null) !== values[col]);
+    if (!changed.length) {
       await client.query("ROLLBACK");
-      return res.status(400).json({
-        success: false,
-        message: `포인트가 부족합니다. (보유:${balance}, 필요:${total})`,
-        needed: total - balance,
-      });
+      return res.json({ success: true, profile: cur.rows[0] || null, changed: [] });
     }
 
-    // 잔액 차감
-    await client.query("UPDATE store_wallets SET balance = balance - $1, updated_at=now() WHERE store_id=$2", [
-      total,
-      storeId,
+    const r = await client.query(
+      `INSERT INTO store_profiles(store_id, ${cols.join(", ")}, version, updated_at)
+       VALUES ($1, ${cols.map((_, i) => `$${i + 2}`).join(", ")}, 1, now())
+       ON CONFLICT(store_id) DO UPDATE SET
+         ${cols.map((c) => `${c}=EXCLUDED.${c}`).join(",\n         ")},
+         version=store_profiles.version + 1,
+         updated_at=now()
+       RETURNING *`,
+      [storeId, ...cols.map((c) => values[c])]
+    );
+    const profile = r.rows[0];
+
+    await client.query(
+      `INSERT INTO store_profile_versions(store_id, version, data, changed_fields, actor)
+       VALUES($1,$2,$3,$4,$5)`,
+      [storeId, profile.version, JSON.stringify(values), changed, actorOf(req.auth)]
+    );
+
+    await client.query("COMMIT");
+    res.json({ success: true, profile, changed });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+async function listProfileVersions(storeId) {
+  const r = await pool.query(
+    `SELECT version, data, changed_fields, actor,
+            to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+     FROM store_profile_versions
+     WHERE store_id=$1
+     ORDER BY version DESC`,
+    [storeId]
+  );
+  return r.rows;
+}
+
+app.get("/profile/versions", requireAuth("store"), async (req, res) => {
+  try {
+    res.json({ success: true, versions: await listProfileVersions(req.auth.storeId) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사: 필수 프로필 정책
+app.get("/head/profile-policy", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query("SELECT require_complete_profile FROM head_offices WHERE id=$1", [
+      req.auth.headOfficeId,
     ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "본사 없음" });
+    res.json({
+      success: true,
+      requireCompleteProfile: r.rows[0].require_complete_profile,
+      requiredFields: REQUIRED_PROFILE_FIELDS,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    // 주문 생성
-    const orderRes = await client.query(
-      `INSERT INTO orders (store_id, head_office_id, status, total_amount)
-       VALUES ($1, $2, 'pending', $3)
-       RETURNING id`,
-      [storeId, headOfficeId, total]
+app.put("/head/profile-policy", requireAuth("head"), async (req, res) => {
+  try {
+    const before = await pool.query("SELECT require_complete_profile FROM head_offices WHERE id=$1", [
+      req.auth.headOfficeId,
+    ]);
+    const r = await pool.query(
+      "UPDATE head_offices SET require_complete_profile=$2 WHERE id=$1 RETURNING require_complete_profile",
+      [req.auth.headOfficeId, Boolean(req.body.requireCompleteProfile)]
     );
-    const orderId = orderRes.rows[0].id;
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "본사 없음" });
+    auditTarget(req, {
+      entityType: "head_office",
+      entityId: req.auth.headOfficeId,
+      before: before.rows[0],
+      after: r.rows[0],
+    });
+    res.json({
+      success: true,
+      requireCompleteProfile: r.rows[0].require_complete_profile,
+      requiredFields: REQUIRED_PROFILE_FIELDS,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    // 주문 아이템
-    for (const it of items) {
-      const price = priceMap.get(it.productId);
-      const lineTotal = price * it.qty;
-      await client.query(
-        `INSERT INTO order_items (order_id, product_id, qty, unit_price, line_total)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [orderId, it.productId, it.qty, price, lineTotal]
-      );
+// 본사: 소속 가맹점 프로필 현황 (누락 항목)
+app.get("/head/stores/profile-status", requireAuth("head"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT s.id AS store_id, s.name AS store_name, sp.*,
+              to_char(sp.updated_at,'YYYY-MM-DD HH24:MI:SS') AS updated_at
+       FROM stores s
+       LEFT JOIN store_profiles sp ON sp.store_id = s.id
+       WHERE s.head_office_id=$1
+       ORDER BY s.id ASC`,
+      [req.auth.headOfficeId]
+    );
+    const stores = r.rows.map((x) => ({
+      storeId: x.store_id,
+      storeName: x.store_name,
+      businessNo: x.business_no,
+      companyName: x.company_name,
+      version: x.version || 0,
+      updatedAt: x.updated_at,
+      missing: missingProfileFields(x),
+    }));
+    res.json({ success: true, stores });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/head/stores/:id/profile-versions", requireAuth("head"), async (req, res) => {
+  const storeId = Number(req.params.id);
+
+  try {
+    const s = await pool.query("SELECT 1 FROM stores WHERE id=$1 AND head_office_id=$2", [
+      storeId,
+      req.auth.headOfficeId,
+    ]);
+    if (!s.rowCount) return res.status(404).json({ success: false, message: "가맹점 없음" });
+
+    res.json({ success: true, versions: await listProfileVersions(storeId) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// STATEMENTS (월별 거래명세서: JSON / PDF / xlsx)
+// - 공급자 = 본사(head_offices), 공급받는자 = 가맹점(store_profiles 사업자 정보)
+// - 잔액은 point_ledger 기준 (전월이월 + 당월 증감 = 월말잔액)
+// ----------------------------------------------------
+const ORDER_STATUS_KO = {
+  pending: "접수",
+  confirmed: "확정",
+  shipped: "출고",
+  delivered: "배송완료",
+  rejected: "반려",
+  cancelled: "취소",
+};
+
+// 한글 출력용 TTF (STATEMENT_FONT_PATH 미설정 시 시스템 나눔고딕 탐색)
+const STATEMENT_FONT_CANDIDATES = [
+  process.env.STATEMENT_FONT_PATH,
+  "/usr/share/fonts/truetype/nanum/NanumGothic.ttf",
+  "/usr/share/fonts/nanum/NanumGothic.ttf",
+].filter(Boolean);
+
+function findStatementFont() {
+  return STATEMENT_FONT_CANDIDATES.find((f) => fs.existsSync(f)) || null;
+}
+
+// 'YYYY-MM' (월 01~12, 연도 1000 이상) 아니면 null
+function parseMonthParam(v) {
+  return /^[1-9]\d{3}-(0[1-9]|1[0-2])$/.test(String(v || "")) ? String(v) : null;
+}
+
+// month('YYYY-MM')의 가맹점별 명세서 데이터 (headOfficeId/storeId 로 범위 제한)
+async function loadMonthlyStatements({ month, headOfficeId = null, storeId = null }) {
+  const storesRes = await pool.query(
+    `SELECT s.id, s.name, s.head_office_id,
+            sp.business_no, sp.company_name, sp.ceo_name, sp.business_address,
+            sp.business_type, sp.business_item, sp.phone, sp.email,
+            ho.name AS head_office_name, ho.manager_name AS head_office_manager,
+            ho.address AS head_office_address, ho.phone AS head_office_phone
+     FROM stores s
+     JOIN head_offices ho ON ho.id = s.head_office_id
+     LEFT JOIN store_profiles sp ON sp.store_id = s.id
+     WHERE ($1::int IS NULL OR s.head_office_id = $1)
+       AND ($2::int IS NULL OR s.id = $2)
+     ORDER BY s.id ASC`,
+    [headOfficeId, storeId]
+  );
+  const ids = storesRes.rows.map((x) => x.id);
+  if (!ids.length) return [];
+
+  const monthCte = `WITH m AS (
+    SELECT to_date($2, 'YYYY-MM')::timestamp AS first_day,
+           (to_date($2, 'YYYY-MM') + interval '1 month')::timestamp AS next_day
+  )`;
+
+  const [ledgerRes, ordersRes, topupsRes] = await Promise.all([
+    pool.query(
+      `${monthCte}
+       SELECT l.store_id,
+              COALESCE(SUM(l.amount) FILTER (WHERE l.created_at < m.first_day), 0) AS opening_balance,
+              COALESCE(SUM(l.amount) FILTER (WHERE l.created_at >= m.first_day AND l.created_at < m.next_day
+                                               AND l.type IN ('CHARGE','OVERPAY')), 0) AS charged,
+              COALESCE(SUM(-l.amount) FILTER (WHERE l.created_at >= m.first_day AND l.created_at < m.next_day
+                                                AND l.type = 'ORDER_DEBIT'), 0) AS ordered,
+              COALESCE(SUM(l.amount) FILTER (WHERE l.created_at >= m.first_day AND l.created_at < m.next_day
+                                               AND l.type = 'ORDER_REFUND'), 0) AS refunded,
+              COALESCE(SUM(l.amount) FILTER (WHERE l.created_at < m.next_day), 0) AS closing_balance
+       FROM point_ledger l, m
+       WHERE l.store_id = ANY($1::int[])
+       GROUP BY l.store_id`,
+      [ids, month]
+    ),
+    pool.query(
+      `${monthCte}
+       SELECT o.id, o.store_id, o.status, o.total_amount,
+              to_char(o.created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at,
+              to_char(o.delivery_date,'YYYY-MM-DD') AS delivery_date,
+              (SELECT COUNT(*)::int FROM order_items oi WHERE oi.order_id = o.id) AS item_count
+       FROM orders o, m
+       WHERE o.store_id = ANY($1::int[])
+         AND o.created_at >= m.first_day AND o.created_at < m.next_day
+       ORDER BY o.id ASC`,
+      [ids, month]
+    ),
+    pool.query(
+      `${monthCte}
+       SELECT t.id, t.store_id, t.amount, COALESCE(t.paid_amount, t.amount) AS paid_amount, t.status,
+              to_char(t.paid_at,'YYYY-MM-DD HH24:MI:SS') AS paid_at
+       FROM point_topups t, m
+       WHERE t.store_id = ANY($1::int[])
+         AND t.paid_at >= m.first_day AND t.paid_at < m.next_day
+       ORDER BY t.paid_at ASC, t.id ASC`,
+      [ids, month]
+    ),
+  ]);
+
+  const ledgerByStore = new Map(ledgerRes.rows.map((x) => [x.store_id, x]));
+  return storesRes.rows.map((st) => {
+    const l = ledgerByStore.get(st.id) || {};
+    return {
+      month,
+      supplier: {
+        name: st.head_office_name,
+        manager: st.head_office_manager,
+        address: st.head_office_address,
+        phone: st.head_office_phone,
+      },
+      customer: {
+        storeId: st.id,
+        storeName: st.name,
+        companyName: st.company_name || st.name,
+        businessNo: st.business_no,
+        ceoName: st.ceo_name,
+        businessAddress: st.business_address,
+        businessType: st.business_type,
+        businessItem: st.business_item,
+        phone: st.phone,
+        email: st.email,
+      },
+      summary: {
+        openingBalance: Number(l.opening_balance || 0),
+        charged: Number(l.charged || 0),
+        ordered: Number(l.ordered || 0),
+        refunded: Number(l.refunded || 0),
+        closingBalance: Number(l.closing_balance || 0),
+      },
+      orders: ordersRes.rows.filter((o) => o.store_id === st.id),
+      topups: topupsRes.rows.filter((t) => t.store_id === st.id),
+    };
+  });
+}
+
+// 명세서 → xlsx 시트 (여러 가맹점이면 가맹점 컬럼으로 합침)
+function statementSheets(statements) {
+  return [
+    {
+      name: "요약",
+      rows: statements.map((st) => ({
+        월: st.month,
+        가맹점ID: st.customer.storeId,
+        상호: st.customer.companyName,
+        사업자번호: st.customer.businessNo || "",
+        대표자: st.customer.ceoName || "",
+        사업장주소: st.customer.businessAddress || "",
+        본사: st.supplier.name,
+        전월이월: st.summary.openingBalance,
+        충전: st.summary.charged,
+        발주: st.summary.ordered,
+        환불: st.summary.refunded,
+        월말잔액: st.summary.closingBalance,
+      })),
+    },
+    {
+      name: "발주",
+      rows: statements.flatMap((st) =>
+        st.orders.map((o) => ({
+          가맹점ID: st.customer.storeId,
+          상호: st.customer.companyName,
+          주문번호: o.id,
+          주문일시: o.created_at,
+          배송일: o.delivery_date || "",
+          상태: ORDER_STATUS_KO[o.status] || o.status,
+          품목수: o.item_count,
+          금액: Number(o.total_amount),
+        }))
+      ),
+    },
+    {
+      name: "충전",
+      rows: statements.flatMap((st) =>
+        st.topups.map((t) => ({
+          가맹점ID: st.customer.storeId,
+          상호: st.customer.companyName,
+          충전번호: t.id,
+          입금일시: t.paid_at,
+          요청금액: Number(t.amount),
+          입금액: Number(t.paid_amount),
+          상태: t.status,
+        }))
+      ),
+    },
+  ];
+}
+
+const won = (n) => `${Number(n || 0).toLocaleString("ko-KR")}원`;
+
+// 명세서 1건을 PDF 문서에 그리기 (가맹점마다 새 페이지)
+function drawStatementPage(doc, st) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.fontSize(18).text(`거래명세서 (${st.month})`, { align: "center" });
+  doc.moveDown();
+
+  const partyTop = doc.y;
+  const half = width / 2 - 10;
+  doc.fontSize(10);
+  doc.text("[공급자]", left, partyTop, { width: half });
+  doc.text(`상호: ${st.supplier.name || ""}`, { width: half });
+  doc.text(`담당자: ${st.supplier.manager || ""}`, { width: half });
+  doc.text(`주소: ${st.supplier.address || ""}`, { width: half });
+  doc.text(`연락처: ${st.supplier.phone || ""}`, { width: half });
+  const supplierBottom = doc.y;
+
+  const cx = left + width / 2 + 10;
+  const c = st.customer;
+  doc.text("[공급받는자]", cx, partyTop, { width: half });
+  doc.text(`상호: ${c.companyName || ""}`, { width: half });
+  doc.text(`사업자번호: ${c.businessNo || ""}`, { width: half });
+  doc.text(`대표자: ${c.ceoName || ""}`, { width: half });
+  doc.text(`주소: ${c.businessAddress || ""}`, { width: half });
+  if (c.businessType || c.businessItem) doc.text(`업태/종목: ${c.businessType || ""} / ${c.businessItem || ""}`, { width: half });
+
+  doc.x = left;
+  doc.y = Math.max(supplierBottom, doc.y) + 15;
+
+  const s = st.summary;
+  doc.fontSize(11).text(
+    `전월이월 ${won(s.openingBalance)}  +  충전 ${won(s.charged)}  -  발주 ${won(s.ordered)}  +  환불 ${won(s.refunded)}  =  월말잔액 ${won(s.closingBalance)}`,
+    left,
+    doc.y,
+    { width }
+  );
+  doc.moveDown();
+
+  // 표: columns = [{ label, width(비율), value(row) }]
+  const table = (title, columns, rows) => {
+    doc.fontSize(12).text(title, left, doc.y);
+    doc.moveDown(0.3);
+    const drawRow = (cells) => {
+      if (doc.y + 16 > bottom) doc.addPage();
+      const y = doc.y;
+      let x = left;
+      cells.forEach((cell, i) => {
+        const w = columns[i].width * width;
+        doc.text(String(cell ?? ""), x, y, { width: w - 4, lineBreak: false, ellipsis: true });
+        x += w;
+      });
+      doc.x = left;
+      doc.y = y + 14;
+    };
+    doc.fontSize(9);
+    drawRow(columns.map((col) => col.label));
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).stroke();
+    if (!rows.length) drawRow(["내역 없음"]);
+    rows.forEach((r) => drawRow(columns.map((col) => col.value(r))));
+    doc.moveDown();
+  };
+
+  table(
+    "발주 내역",
+    [
+      { label: "주문번호", width: 0.12, value: (o) => o.id },
+      { label: "주문일시", width: 0.28, value: (o) => o.created_at },
+      { label: "배송일", width: 0.18, value: (o) => o.delivery_date || "" },
+      { label: "상태", width: 0.14, value: (o) => ORDER_STATUS_KO[o.status] || o.status },
+      { label: "금액", width: 0.28, value: (o) => won(o.total_amount) },
+    ],
+    st.orders
+  );
+  table(
+    "충전 내역",
+    [
+      { label: "충전번호", width: 0.12, value: (t) => t.id },
+      { label: "입금일시", width: 0.32, value: (t) => t.paid_at },
+      { label: "요청금액", width: 0.28, value: (t) => won(t.amount) },
+      { label: "입금액", width: 0.28, value: (t) => won(t.paid_amount) },
+    ],
+    st.topups
+  );
+}
+
+// 명세서들을 하나의 PDF 로 응답 (한글 폰트 없으면 ok:false)
+function sendStatementPdf(res, filename, statements) {
+  const font = findStatementFont();
+  if (!font) return { ok: false, status: 500, message: "한글 폰트 없음 (STATEMENT_FONT_PATH 설정 필요)" };
+
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.registerFont("ko", font);
+  doc.font("ko");
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  doc.pipe(res);
+  statements.forEach((st, i) => {
+    if (i > 0) doc.addPage();
+    drawStatementPage(doc, st);
+  });
+  doc.end();
+  return { ok: true };
+}
+
+// 공통 응답: format = json(기본) | pdf | xlsx
+function sendStatements(res, format, filename, statements) {
+  if (format === "xlsx") return sendWorkbook(res, `${filename}.xlsx`, statementSheets(statements));
+  if (format === "pdf") {
+    const r = sendStatementPdf(res, `${filename}.pdf`, statements);
+    if (!r.ok) return res.status(r.status).json({ success: false, message: r.message });
+    return;
+  }
+  res.json({ success: true, statements });
+}
+
+// 가맹점: 본인 월별 거래명세서
+app.get("/statements/monthly", requireAuth("store"), async (req, res) => {
+  const month = parseMonthParam(req.query.month);
+  if (!month) return res.status(400).json({ success: false, message: "month 형식: YYYY-MM" });
+
+  try {
+    const statements = await loadMonthlyStatements({ month, storeId: req.auth.storeId });
+    if (!statements.length) return res.status(404).json({ success: false, message: "store 없음" });
+
+    const format = String(req.query.format || "json");
+    if (format === "json") return res.json({ success: true, statement: statements[0] });
+    sendStatements(res, format, `statement_${req.auth.storeId}_${month}`, statements);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 본사: 소속 가맹점 명세서 일괄 (storeId 지정 시 1곳만)
+app.get("/head/statements/monthly", requireAuth("head"), async (req, res) => {
+  const month = parseMonthParam(req.query.month);
+  if (!month) return res.status(400).json({ success: false, message: "month 형식: YYYY-MM" });
+  const storeId = parseIdParam(req.query.storeId);
+  if (storeId === undefined) return res.status(400).json({ success: false, message: "storeId는 양의 정수" });
+
+  try {
+    const statements = await loadMonthlyStatements({ month, headOfficeId: req.auth.headOfficeId, storeId });
+    if (storeId && !statements.length) return res.status(404).json({ success: false, message: "가맹점 없음" });
+
+    const suffix = storeId ? `store${storeId}` : `head${req.auth.headOfficeId}`;
+    sendStatements(res, String(req.query.format || "json"), `statements_${suffix}_${month}`, statements);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// ✅ BANK 입금 처리 (mock-incoming / 거래내역 파일 업로드 공통)
+// ----------------------------------------------------
+// 입금 1건: tx_id 중복 체크 → depositCode 파싱 → topup 매칭 → applyTopupPaid
+// 반환 result: 'duplicate' | 'unmatched' | 'matched' (실패 시 ok:false)
+async function processBankIncoming({ txId, amount, memo, depositor, occurredAt }) {
+  // 입금건 선점: tx_id 유니크 → 동시에 같은 tx 가 들어와도 한 번만 처리
+  const claim = await pool.query(
+    `INSERT INTO bank_incoming_processed(tx_id, amount, depositor, memo, occurred_at)
+     VALUES($1,$2,$3,$4,$5)
+     ON CONFLICT (tx_id) DO NOTHING
+     RETURNING tx_id`,
+    [txId, Number(amount), depositor || null, memo || null, occurredAt || null]
+  );
+  if (!claim.rowCount) {
+    return { ok: true, result: "duplicate", message: "이미 처리된 tx", txId };
+  }
+
+  const parsed = extractDepositCode(memo) || extractDepositCode(depositor);
+  if (!parsed) {
+    await publishEvent(pool, {
+      type: "deposit.unmatched",
+      data: { txId, amount: Number(amount), depositor: depositor || null, memo: memo || null, reason: "NO_DEPOSIT_CODE" },
+    });
+    return { ok: true, result: "unmatched", message: "depositCode 파싱 실패(수동처리 필요)" };
+  }
+
+  const depositCode = makeDepositCode(parsed.headOfficeId, parsed.storeId, parsed.topupId);
+
+  const t = await pool.query(
+    `SELECT id, store_id, status
+     FROM point_topups
+     WHERE deposit_code=$1`,
+    [depositCode]
+  );
+
+  if (!t.rows.length) {
+    await publishEvent(pool, {
+      type: "deposit.unmatched",
+      data: {
+        txId,
+        amount: Number(amount),
+        depositor: depositor || null,
+        memo: memo || null,
+        depositCode,
+        reason: "TOPUP_NOT_FOUND",
+      },
+    });
+    return { ok: true, result: "unmatched", message: "deposit_code 매칭 실패(수동처리 필요)", depositCode };
+  }
+
+  // 만료/취소된 요청에 늦게 들어온 입금 → 자동충전 하지 않고 수동검토 대기열로
+  const topupStatus = t.rows[0].status;
+  if (topupStatus === "expired" || topupStatus === "cancelled") {
+    await pool.query("UPDATE bank_incoming_processed SET review_reason=$2 WHERE tx_id=$1", [
+      txId,
+      `TOPUP_${topupStatus.toUpperCase()}`,
+    ]);
+    await publishEvent(pool, {
+      type: "deposit.unmatched",
+      headOfficeId: parsed.headOfficeId,
+      data: {
+        txId,
+        amount: Number(amount),
+        depositor: depositor || null,
+        memo: memo || null,
+        depositCode,
+        topupId: Number(t.rows[0].id),
+        storeId: Number(t.rows[0].store_id),
+        reason: `TOPUP_${topupStatus.toUpperCase()}`,
+      },
+    });
+    return {
+      ok: true,
+      result: "unmatched",
+      message: `${topupStatus === "expired" ? "만료된" : "취소된"} 충전요청 입금(수동처리 필요)`,
+      depositCode,
+    };
+  }
+
+  const topupId = Number(t.rows[0].id);
+  const storeId = Number(t.rows[0].store_id);
+
+  // 선점 직후 수동매칭이 먼저 잡았으면 자동충전하지 않음
+  const matched = await pool.query(
+    `UPDATE bank_incoming_processed SET matched_topup_id=$2, matched_store_id=$3
+     WHERE tx_id=$1 AND matched_topup_id IS NULL`,
+    [txId, topupId, storeId]
+  );
+  if (!matched.rowCount) return { ok: true, result: "duplicate", message: "이미 매칭된 tx", txId };
+
+  const result = await applyTopupPaid({
+    topupId,
+    memo: "KB 자동입금 확인 충전",
+    refType: "BANK",
+    receivedAmount: Number(amount),
+    txId,
+  });
+
+  if (!result.ok) return { ...result, depositCode };
+  return { ...result, result: "matched", depositCode };
+}
+
+// 거래내역 셀 값 → 숫자 ("1,000원" 등 허용)
+function parseStatementAmount(v) {
+  if (typeof v === "number") return v;
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// 거래내역 셀 값 → 'YYYY-MM-DD HH:MM:SS' (엑셀 날짜 serial / "2025.01.02 13:45" 등 허용)
+function parseStatementDate(v) {
+  if (v === "" || v == null) return null;
+  if (typeof v === "number") {
+    const d = xlsx.SSF.parse_date_code(v);
+    if (!d) return null;
+    const pad = (x) => String(x).padStart(2, "0");
+    return `${d.y}-${pad(d.m)}-${pad(d.d)} ${pad(d.H)}:${pad(d.M)}:${pad(Math.floor(d.S))}`;
+  }
+  const s = String(v).trim().replace(/[./]/g, "-");
+  return s || null;
+}
+
+// KB 거래내역 1행 → 입금 1건 (출금/빈 행은 null)
+// tx id 컬럼이 없으면 거래일시/금액/입금자/적요/잔액으로 결정적 id 생성 → 같은 파일 재업로드 시 중복 처리됨
+function statementRowToIncoming(row) {
+  const amount = parseStatementAmount(row.amount || row.입금액 || row["입금액(원)"] || row["맡기신금액"]);
+  if (!amount || amount <= 0) return null;
+
+  const occurredAt = parseStatementDate(
+    row.occurred_at || row.거래일시 || [row.거래일자, row.거래시간].filter(Boolean).join(" ")
+  );
+  const depositor = String(row.depositor || row["보낸분/받는분"] || row.입금자명 || row.의뢰인 || "").trim() || null;
+  const memo =
+    [row.memo, row.적요, row.내용, row.받는통장표시, row.메모]
+      .map((x) => String(x || "").trim())
+      .filter(Boolean)
+      .join(" ") || null;
+  const balance = parseStatementAmount(row.balance || row.거래후잔액 || row["잔액(원)"]);
+
+  let txId = String(row.tx_id || row.거래번호 || "").trim();
+  if (!txId) {
+    const key = [occurredAt, amount, depositor, memo, balance].join("|");
+    txId = `KB-${crypto.createHash("sha1").update(key).digest("hex").slice(0, 24)}`;
+  }
+
+  return { txId, amount, memo, depositor, occurredAt };
+}
+
+// 이름 비교용 정규화 (공백/괄호 제거, 소문자)
+function normalizeName(v) {
+  return String(v || "")
+    .toLowerCase()
+    .replace(/[\s()㈜]/g, "");
+}
+
+// 미매칭 입금 ↔ 충전요청 후보 점수 (금액 50 + 입금자명 30 + 날짜 근접 최대 20)
+function scoreTopupCandidate(incoming, topup) {
+  const reasons = [];
+  let score = 0;
+
+  if (Number(incoming.amount) === Number(topup.remaining_amount ?? topup.amount)) {
+    score += 50;
+    reasons.push("amount");
+  }
+
+  const dep = normalizeName(incoming.depositor);
+  const names = [topup.depositor_name, topup.profile_depositor_name, topup.merchant_code]
+    .map(normalizeName)
+    .filter(Boolean);
+  if (dep && names.some((n) => dep === n || dep.includes(n) || n.includes(dep))) {
+    score += 30;
+    reasons.push("depositor");
+  }
+
+  const dayGap =
+    incoming.occurred_ms != null ? Math.abs(Number(incoming.occurred_ms) - Number(topup.created_ms)) / 86400000 : null;
+  if (dayGap != null && dayGap <= 10) {
+    score += Math.round(20 - dayGap * 2);
+    reasons.push("date");
+  }
+
+  return { score, reasons, dayGap: dayGap == null ? null : Math.round(dayGap * 10) / 10 };
+}
+
+// ✅ MOCK BANK (운영 전 테스트용)
+app.post("/admin/bank/mock-incoming", requireFinance, async (req, res) => {
+  const { txId, amount, memo, depositor, occurredAt } = req.body;
+  if (!txId || !(Number(amount) > 0)) {
+    return res.status(400).json({ success: false, message: "txId/amount 필요" });
+  }
+  if (occurredAt && Number.isNaN(new Date(occurredAt).getTime())) {
+    return res.status(400).json({ success: false, message: "occurredAt 형식 오류" });
+  }
+
+  try {
+    const { result, ...r } = await processBankIncoming({ txId: String(txId), amount, memo, depositor, occurredAt });
+
+    if (!r.ok) return res.status(r.status || 500).json({ success: false, message: r.message });
+    if (result === "duplicate") return res.json({ success: true, message: r.message, txId });
+    if (result === "unmatched") {
+      return res.json({ success: true, matched: false, message: r.message, depositCode: r.depositCode });
+    }
+
+    return res.json({ success: true, matched: true, ...r });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ KB 거래내역 파일(xlsx/csv) 업로드 → 입금건 일괄 매칭
+// 컬럼: 거래일시, 입금액, 보낸분/받는분, 적요/내용/메모, 거래후잔액 (영문: occurred_at, amount, depositor, memo, balance, tx_id)
+app.post("/admin/bank/upload", requireFinance, upload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, message: "file 필요" });
+
+  let rows;
+  try {
+    rows = readExcel(req.file.buffer);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: `파일 읽기 실패: ${err.message}` });
+  }
+
+  const summary = { matched: 0, duplicate: 0, unmatched: 0, skipped: 0, failed: 0 };
+  const report = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const rowIndex = i + 2;
+    const incoming = statementRowToIncoming(rows[i]);
+    if (!incoming) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const r = await processBankIncoming(incoming);
+      const result = r.ok ? r.result : "failed";
+      summary[result]++;
+      report.push({
+        rowIndex,
+        result,
+        txId: incoming.txId,
+        amount: incoming.amount,
+        depositor: incoming.depositor,
+        occurredAt: incoming.occurredAt,
+        depositCode: r.depositCode || null,
+        topupId: r.topupId || null,
+        storeId: r.storeId || null,
+        message: r.message || null,
+      });
+    } catch (e) {
+      summary.failed++;
+      report.push({ rowIndex, result: "failed", txId: incoming.txId, amount: incoming.amount, message: e.message });
     }
+  }
 
-    // 원장 기록(차감은 음수)
-    await client.query(
-      `INSERT INTO point_ledger(store_id, type, amount, ref_type, ref_id, memo)
-       VALUES($1,'ORDER_DEBIT',$2,'ORDER',$3,'발주 결제 차감')`,
-      [storeId, -total, orderId]
+  res.json({ success: true, total: rows.length, summary, rows: report });
+});
+
+// 미매칭 입금 1회 조회당 후보 충전요청 최대 건수
+const TOPUP_CANDIDATE_LIMIT = 1000;
+
+// ✅ 미매칭 입금 목록 + 충전요청 후보 추천
+app.get("/admin/bank/unmatched", requireFinance, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+  try {
+    const incoming = await pool.query(
+      `SELECT tx_id, amount, depositor, memo, review_reason,
+              to_char(occurred_at,'YYYY-MM-DD HH24:MI:SS') AS occurred_at,
+              EXTRACT(EPOCH FROM occurred_at) * 1000 AS occurred_ms
+       FROM bank_incoming_processed
+       WHERE matched_topup_id IS NULL
+       ORDER BY occurred_at DESC NULLS LAST, tx_id DESC
+       LIMIT $1`,
+      [limit]
     );
 
-    await client.query("COMMIT");
-    return res.json({ success: true, orderId });
+    // 후보 충전요청: 조회된 입금건 시각 ±10일(점수의 날짜 기준과 동일) 안의 미결 요청만, 최대 TOPUP_CANDIDATE_LIMIT 건
+    const times = incoming.rows.map((b) => b.occurred_ms).filter((ms) => ms != null).map(Number);
+    const fromMs = (times.length ? Math.min(...times) : Date.now()) - 10 * 86400000;
+    const toMs = (times.length ? Math.max(...times) : Date.now()) + 10 * 86400000;
+
+    const topups = await pool.query(
+      `SELECT t.id, t.store_id, s.name AS store_name, s.head_office_id, s.merchant_code,
+              t.amount, t.amount - COALESCE(t.paid_amount, 0) AS remaining_amount,
+              t.deposit_code, t.depositor_name,
+              sp.depositor_name AS profile_depositor_name,
+              to_char(t.created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at,
+              EXTRACT(EPOCH FROM t.created_at) * 1000 AS created_ms
+       FROM point_topups t
+       JOIN stores s ON s.id = t.store_id
+       LEFT JOIN store_profiles sp ON sp.store_id = t.store_id
+       WHERE t.status IN ('requested', 'partially_paid')
+         AND t.created_at BETWEEN to_timestamp($1 / 1000.0) AND to_timestamp($2 / 1000.0)
+       ORDER BY (t.amount - COALESCE(t.paid_amount, 0)) = ANY($3::numeric[]) DESC, t.created_at DESC
+       LIMIT $4`,
+      [fromMs, toMs, incoming.rows.map((b) => b.amount), TOPUP_CANDIDATE_LIMIT]
+    );
+
+    const items = incoming.rows.map(({ occurred_ms, ...b }) => {
+      const candidates = topups.rows
+        .map(({ created_ms, profile_depositor_name, ...t }) => ({
+          ...t,
+          ...scoreTopupCandidate({ ...b, occurred_ms }, { ...t, created_ms, profile_depositor_name }),
+        }))
+        .filter((c) => c.reasons.includes("amount") || c.reasons.includes("depositor"))
+        .sort((a, c) => c.score - a.score)
+        .slice(0, 5);
+      return { ...b, candidates };
+    });
+
+    res.json({ success: true, items });
   } catch (err) {
-    await client.query("ROLLBACK");
-    return res.status(500).json({ success: false, error: err.message });
-  } finally {
-    client.release();
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// 본사 주문목록
-app.get("/head/orders", async (req, res) => {
-  const { headOfficeId, status } = req.query;
-  if (!headOfficeId) return res.status(400).json({ success: false, message: "headOfficeId 필요" });
+// ✅ 미매칭 입금 수동 매칭 → applyTopupPaid 로 충전
+app.post("/admin/bank/unmatched/:txId/match", requireFinance, async (req, res) => {
+  const { txId } = req.params;
+  const topupId = Number(req.body.topupId);
+  if (!topupId) return res.status(400).json({ success: false, message: "topupId 필요" });
 
   try {
-    const params = [headOfficeId];
-    let where = "WHERE o.head_office_id = $1";
-    if (status) {
-      params.push(status);
-      where += ` AND o.status = $2`;
+    const t = await pool.query("SELECT id, store_id, status FROM point_topups WHERE id=$1", [topupId]);
+    if (!t.rows.length) return res.status(404).json({ success: false, message: "topup 없음" });
+    if (!["requested", "partially_paid", "expired", "cancelled"].includes(t.rows[0].status)) {
+      return res.status(400).json({ success: false, message: `처리 불가 상태: ${t.rows[0].status}` });
     }
 
-    const result = await pool.query(
-      `SELECT o.id,
-              o.store_id,
-              s.name AS store_name,
-              o.status,
-              o.total_amount,
-              to_char(o.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
-       FROM orders o
-       JOIN stores s ON s.id = o.store_id
-       ${where}
-       ORDER BY o.id DESC`,
-      params
+    // 먼저 입금건을 선점(동시 매칭 방지)
+    const claim = await pool.query(
+      `UPDATE bank_incoming_processed
+       SET matched_topup_id=$2, matched_store_id=$3, matched_by=$4, matched_at=now()
+       WHERE tx_id=$1 AND matched_topup_id IS NULL
+       RETURNING tx_id, amount`,
+      [txId, topupId, t.rows[0].store_id, actorOf(req.auth)]
     );
+    if (!claim.rowCount) return res.status(409).json({ success: false, message: "입금건 없음 또는 이미 매칭됨" });
+
+    const result = await applyTopupPaid({
+      topupId,
+      memo: "관리자 수동매칭 충전",
+      refType: "BANK",
+      receivedAmount: Number(claim.rows[0].amount),
+      txId,
+      allowClosed: true,
+    });
+    if (!result.ok) {
+      await pool.query(
+        `UPDATE bank_incoming_processed
+         SET matched_topup_id=NULL, matched_store_id=NULL, matched_by=NULL, matched_at=NULL
+         WHERE tx_id=$1`,
+        [txId]
+      );
+      return res.status(result.status || 500).json({ success: false, message: result.message });
+    }
 
-    res.json({ success: true, orders: result.rows });
+    auditTarget(req, { entityType: "topup", entityId: topupId, before: t.rows[0], after: { txId, ...result } });
+    return res.json({ success: true, txId, ...result });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    return res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// 본사 주문상세
-app.get("/head/orders/:orderId", async (req, res) => {
-  const { orderId } = req.params;
+// ✅ 입금액 불일치(부족/초과) 검토 목록
+app.get("/admin/bank/discrepancies", requireFinance, async (req, res) => {
+  const status = req.query.status === "resolved" ? "resolved" : "open";
 
   try {
-    const head = await pool.query(
-      `SELECT o.id,
-              o.store_id,
-              s.name AS store_name,
-              o.head_office_id,
-              o.status,
-              o.total_amount,
-              to_char(o.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
-       FROM orders o
-       JOIN stores s ON s.id = o.store_id
-       WHERE o.id = $1`,
-      [orderId]
-    );
-    if (head.rows.length === 0) return res.status(404).json({ success: false, message: "order 없음" });
-
-    const items = await pool.query(
-      `SELECT oi.product_id, p.name, oi.qty, oi.unit_price, oi.line_total
-       FROM order_items oi
-       JOIN products p ON p.id = oi.product_id
-       WHERE oi.order_id = $1
-       ORDER BY oi.id ASC`,
-      [orderId]
+    const r = await pool.query(
+      `SELECT d.id, d.topup_id, d.store_id, s.name AS store_name, d.tx_id, d.kind,
+              d.expected_amount, d.received_amount, d.diff_amount, d.policy, d.status,
+              d.resolved_by, d.resolution_note,
+              to_char(d.resolved_at,'YYYY-MM-DD HH24:MI:SS') AS resolved_at,
+              to_char(d.created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+       FROM deposit_discrepancies d
+       JOIN stores s ON s.id = d.store_id
+       WHERE d.status = $1
+       ORDER BY d.id DESC`,
+      [status]
     );
-
-    res.json({ success: true, order: head.rows[0], items: items.rows });
+    res.json({ success: true, discrepancies: r.rows });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ----------------------------------------------------
-// WALLET / TOPUP / LEDGER
-// ----------------------------------------------------
-app.get("/wallet", async (req, res) => {
-  const storeId = Number(req.query.storeId);
-  if (!storeId) return res.status(400).json({ success: false, message: "storeId 필요" });
+// ✅ 입금액 불일치 검토 완료 처리
+app.post("/admin/bank/discrepancies/:id/resolve", requireFinance, async (req, res) => {
+  const id = Number(req.params.id);
+  const note = String(req.body?.note || "").trim() || null;
 
   try {
     const r = await pool.query(
-      `SELECT store_id, balance, to_char(updated_at, 'YYYY-MM-DD HH24:MI:SS') AS updated_at
-       FROM store_wallets
-       WHERE store_id = $1`,
-      [storeId]
+      `UPDATE deposit_discrepancies
+       SET status='resolved', resolved_by=$2, resolution_note=$3, resolved_at=now()
+       WHERE id=$1 AND status='open'
+       RETURNING id, status`,
+      [id, actorOf(req.auth), note]
     );
-
-    if (r.rows.length === 0) {
-      return res.json({ success: true, wallet: { store_id: storeId, balance: 0 } });
-    }
-    return res.json({ success: true, wallet: r.rows[0] });
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "검토 대상 없음(이미 처리됨)" });
+    auditTarget(req, { entityType: "deposit_discrepancy", entityId: id, before: { status: "open" }, after: r.rows[0] });
+    res.json({ success: true, discrepancy: r.rows[0] });
   } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ 포인트 충전 요청 생성 + deposit_code 생성/저장/반환
-app.post("/topups/request", async (req, res) => {
-  const { storeId, amount, depositorName } = req.body;
+// ----------------------------------------------------
+// WEBHOOK 구독 관리 (본사: /head/webhooks, 전체 이벤트 구독: /master/webhooks)
+// ----------------------------------------------------
+const WEBHOOK_ENDPOINT_COLUMNS = `id, url, events, description, active,
+       to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at`;
 
-  const sid = Number(storeId);
-  const amt = Number(amount);
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
 
-  if (!sid || !amt || amt <= 0) {
-    return res.status(400).json({ success: false, message: "storeId/amount 필요(0보다 커야 함)" });
+// 입력값: url(https, WEBHOOK_ALLOW_HTTP=1 이면 http 허용 / 내부 주소는 라우트에서 checkWebhookUrl 로 거부),
+//         events([...] 또는 ['*']), description, active
+function readWebhookInput(body, { partial = false } = {}) {
+  const values = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!partial || has("url")) {
+    let url;
+    try {
+      url = new URL(String(body.url || ""));
+    } catch {
+      return { error: "url 형식 오류" };
+    }
+    const allowHttp = process.env.WEBHOOK_ALLOW_HTTP === "1";
+    if (url.protocol !== "https:" && !(allowHttp && url.protocol === "http:")) return { error: "url은 https만 허용" };
+    values.url = url.toString();
+  }
+  if (!partial || has("events")) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : [];
+    const valid = events.length && events.every((e) => e === "*" || WEBHOOK_EVENTS.includes(e));
+    if (!valid) return { error: `events: ${WEBHOOK_EVENTS.join(" / ")} 또는 *` };
+    values.events = events;
   }
+  if (has("description")) values.description = String(body.description || "").trim() || null;
+  if (has("active")) values.active = Boolean(body.active);
+  return { values };
+}
 
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
+// [경로 prefix, 인증, 소유 본사(null = 전체)]
+const WEBHOOK_OWNERS = [
+  ["/head", requireAuth("head"), (req) => req.auth.headOfficeId],
+  ["/master", requireMaster, () => null],
+];
 
-    const s = await client.query("SELECT id, head_office_id, merchant_code FROM stores WHERE id=$1", [sid]);
-    if (s.rows.length === 0) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ success: false, message: "store 없음" });
+for (const [prefix, auth, ownerOf] of WEBHOOK_OWNERS) {
+  app.get(`${prefix}/webhooks`, auth, async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT ${WEBHOOK_ENDPOINT_COLUMNS},
+                (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.endpoint_id = ep.id AND d.status = 'failed') AS failed_count
+         FROM webhook_endpoints ep
+         WHERE head_office_id IS NOT DISTINCT FROM $1
+         ORDER BY id ASC`,
+        [ownerOf(req)]
+      );
+      res.json({ success: true, events: WEBHOOK_EVENTS, endpoints: r.rows });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
     }
-    const headOfficeId = Number(s.rows[0].head_office_id);
-    const merchantCode = s.rows[0].merchant_code;
+  });
 
-    const prof = await client.query("SELECT depositor_name FROM store_profiles WHERE store_id=$1", [sid]);
-    const depositor = depositorName || (prof.rows[0]?.depositor_name ?? null);
+  // 등록: secret 은 이 응답(과 rotateSecret)에서만 확인 가능
+  app.post(`${prefix}/webhooks`, auth, async (req, res) => {
+    const { values, error } = readWebhookInput(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const urlError = await checkWebhookUrl(values.url);
+    if (urlError) return res.status(400).json({ success: false, message: urlError });
 
-    const r = await client.query(
-      `INSERT INTO point_topups (store_id, amount, depositor_name, status)
-       VALUES ($1, $2, $3, 'requested')
-       RETURNING id, store_id, amount, status, depositor_name,
-                 to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at`,
-      [sid, amt, depositor]
-    );
+    try {
+      const secret = newWebhookSecret();
+      const r = await pool.query(
+        `INSERT INTO webhook_endpoints(head_office_id, url, events, description, active, secret)
+         VALUES($1,$2,$3,$4,$5,$6)
+         RETURNING ${WEBHOOK_ENDPOINT_COLUMNS}`,
+        [ownerOf(req), values.url, values.events, values.description ?? null, values.active ?? true, secret]
+      );
+      auditTarget(req, { entityType: "webhook_endpoint", entityId: r.rows[0].id, after: r.rows[0] });
+      res.status(201).json({ success: true, endpoint: { ...r.rows[0], secret } });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
 
-    const topupId = Number(r.rows[0].id);
+  // 수정: body.rotateSecret=true 면 secret 재발급
+  app.patch(`${prefix}/webhooks/:id`, auth, async (req, res) => {
+    const { values, error } = readWebhookInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (values.url) {
+      const urlError = await checkWebhookUrl(values.url);
+      if (urlError) return res.status(400).json({ success: false, message: urlError });
+    }
+    if (req.body.rotateSecret) values.secret = newWebhookSecret();
 
-    const depositCode = makeDepositCode(headOfficeId, sid, topupId);
-    await client.query("UPDATE point_topups SET deposit_code=$1 WHERE id=$2", [depositCode, topupId]);
+    const cols = Object.keys(values);
+    if (!cols.length) return res.status(400).json({ success: false, message: "변경할 항목 없음" });
 
-    await client.query("COMMIT");
+    try {
+      const r = await pool.query(
+        `UPDATE webhook_endpoints SET ${cols.map((c, i) => `${c}=$${i + 3}`).join(", ")}, updated_at=now()
+         WHERE id=$1 AND head_office_id IS NOT DISTINCT FROM $2
+         RETURNING ${WEBHOOK_ENDPOINT_COLUMNS}`,
+        [Number(req.params.id), ownerOf(req), ...cols.map((c) => values[c])]
+      );
+      if (!r.rowCount) return res.status(404).json({ success: false, message: "웹훅 없음" });
 
-    const depositGuide = {
-      bank: DEPOSIT.bank,
-      account: DEPOSIT.account,
-      holder: DEPOSIT.holder,
-      depositCode,
-      memoRule: `받는통장표시(메모)에 ${depositCode} 입력`,
-      depositorRule: `입금자명(권장): ${merchantCode}`,
-    };
+      const { secret, ...changes } = values;
+      auditTarget(req, {
+        entityType: "webhook_endpoint",
+        entityId: r.rows[0].id,
+        after: { ...changes, secretRotated: Boolean(secret) },
+      });
+      res.json({ success: true, endpoint: secret ? { ...r.rows[0], secret } : r.rows[0] });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
 
-    return res.json({ success: true, topup: { ...r.rows[0], deposit_code: depositCode }, depositGuide });
-  } catch (err) {
-    await client.query("ROLLBACK");
-    return res.status(500).json({ success: false, error: err.message });
-  } finally {
-    client.release();
-  }
-});
+  app.delete(`${prefix}/webhooks/:id`, auth, async (req, res) => {
+    try {
+      const r = await pool.query(
+        `DELETE FROM webhook_endpoints WHERE id=$1 AND head_office_id IS NOT DISTINCT FROM $2
+         RETURNING ${WEBHOOK_ENDPOINT_COLUMNS}`,
+        [Number(req.params.id), ownerOf(req)]
+      );
+      if (!r.rowCount) return res.status(404).json({ success: false, message: "웹훅 없음" });
+      auditTarget(req, { entityType: "webhook_endpoint", entityId: r.rows[0].id, before: r.rows[0], after: null });
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
 
-app.get("/topups", async (req, res) => {
-  const storeId = Number(req.query.storeId);
-  if (!storeId) return res.status(400).json({ success: false, message: "storeId 필요" });
+  // 연결 테스트: webhook.test 이벤트를 해당 엔드포인트로만 발송 대기
+  app.post(`${prefix}/webhooks/:id/test`, auth, async (req, res) => {
+    try {
+      const ep = await pool.query(
+        "SELECT id FROM webhook_endpoints WHERE id=$1 AND head_office_id IS NOT DISTINCT FROM $2 AND active",
+        [Number(req.params.id), ownerOf(req)]
+      );
+      if (!ep.rowCount) return res.status(404).json({ success: false, message: "웹훅 없음(또는 비활성)" });
 
-  try {
-    const r = await pool.query(
-      `SELECT id, store_id, amount, status,
-              depositor_name,
-              deposit_code,
-              to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at,
-              to_char(paid_at, 'YYYY-MM-DD HH24:MI:SS') AS paid_at
-       FROM point_topups
-       WHERE store_id = $1
-       ORDER BY id DESC
-       LIMIT 50`,
-      [storeId]
-    );
-    return res.json({ success: true, topups: r.rows });
-  } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+      const eventId = await publishEvent(pool, {
+        type: "webhook.test",
+        headOfficeId: ownerOf(req),
+        endpointId: ep.rows[0].id,
+        data: { message: "test", actor: actorOf(req.auth) },
+      });
+      res.json({ success: true, eventId });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
 
-// 마스터: 충전 승인(수동)
-app.post("/admin/topups/:id/mark-paid", requireMaster, async (req, res) => {
-  const topupId = Number(req.params.id);
-  if (!topupId) return res.status(400).json({ success: false, message: "topupId 필요" });
+  // 발송 로그: endpointId, status(pending|delivered|failed), eventType, limit/cursor
+  app.get(`${prefix}/webhooks/deliveries`, auth, async (req, res) => {
+    const page = readPageParams(req.query);
+    if (page.error) return res.status(400).json({ success: false, message: page.error });
+    const endpointId = parseIdParam(req.query.endpointId);
+    if (endpointId === undefined) return res.status(400).json({ success: false, message: "endpointId는 양의 정수" });
 
-  const result = await applyTopupPaid({
-    topupId,
-    memo: "관리자 입금확인 충전",
-    refType: "TOPUP",
+    try {
+      const r = await pool.query(
+        `SELECT d.id, d.endpoint_id, ep.url, d.event_id, e.event_type, d.status, d.attempts,
+                d.last_status_code, d.last_error,
+                to_char(d.next_attempt_at,'YYYY-MM-DD HH24:MI:SS') AS next_attempt_at,
+                to_char(d.delivered_at,'YYYY-MM-DD HH24:MI:SS') AS delivered_at,
+                to_char(d.created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints ep ON ep.id = d.endpoint_id
+         JOIN webhook_events e ON e.id = d.event_id
+         WHERE ep.head_office_id IS NOT DISTINCT FROM $1
+           AND ($2::int IS NULL OR d.endpoint_id = $2)
+           AND ($3::text IS NULL OR d.status = $3)
+           AND ($4::text IS NULL OR e.event_type = $4)
+           AND ($5::bigint IS NULL OR d.id < $5)
+         ORDER BY d.id DESC
+         LIMIT $6`,
+        [
+          ownerOf(req),
+          endpointId,
+          req.query.status || null,
+          req.query.eventType || null,
+          page.cursor,
+          page.limit + 1,
+        ]
+      );
+      const { rows, pageInfo } = pageOf(r.rows, page.limit);
+      res.json({ success: true, deliveries: rows, pageInfo });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
   });
 
-  if (!result.ok) return res.status(result.status || 500).json({ success: false, message: result.message });
-  return res.json({ success: true, ...result });
-});
-
-app.get("/points/history", async (req, res) => {
-  const storeId = Number(req.query.storeId);
-  const limit = Number(req.query.limit || 50);
-  if (!storeId) return res.status(400).json({ success: false, message: "storeId 필요" });
+  // 발송 상세 (payload + 시도별 응답)
+  app.get(`${prefix}/webhooks/deliveries/:id`, auth, async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT d.id, d.endpoint_id, ep.url, d.event_id, e.event_type, e.payload, d.status, d.attempts,
+                d.last_status_code, d.last_error,
+                to_char(d.next_attempt_at,'YYYY-MM-DD HH24:MI:SS') AS next_attempt_at,
+                to_char(d.delivered_at,'YYYY-MM-DD HH24:MI:SS') AS delivered_at,
+                to_char(d.created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints ep ON ep.id = d.endpoint_id
+         JOIN webhook_events e ON e.id = d.event_id
+         WHERE d.id=$1 AND ep.head_office_id IS NOT DISTINCT FROM $2`,
+        [Number(req.params.id), ownerOf(req)]
+      );
+      if (!r.rowCount) return res.status(404).json({ success: false, message: "발송건 없음" });
+
+      const a = await pool.query(
+        `SELECT attempt, status_code, error, response_body, duration_ms,
+                to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+         FROM webhook_delivery_attempts
+         WHERE delivery_id=$1
+         ORDER BY id ASC`,
+        [r.rows[0].id]
+      );
+      res.json({ success: true, delivery: { ...r.rows[0], attempts_log: a.rows } });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
 
-  try {
-    const r = await pool.query(
-      `SELECT id, type, amount, ref_type, ref_id, memo,
-              to_char(created_at,'YYYY-MM-DD') as date,
-              to_char(created_at,'YYYY-MM-DD HH24:MI:SS') as created_at
-       FROM point_ledger
-       WHERE store_id=$1
-       ORDER BY id DESC
-       LIMIT $2`,
-      [storeId, limit]
-    );
-    res.json({ success: true, items: r.rows });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+  // 수동 재발송: 실패/완료 건을 다시 대기열로 (시도 횟수 초기화)
+  app.post(`${prefix}/webhooks/deliveries/:id/redeliver`, auth, async (req, res) => {
+    try {
+      const r = await pool.query(
+        `UPDATE webhook_deliveries d
+         SET status='pending', attempts=0, next_attempt_at=now()
+         FROM webhook_endpoints ep
+         WHERE d.id=$1 AND ep.id = d.endpoint_id AND ep.head_office_id IS NOT DISTINCT FROM $2
+           AND d.status <> 'pending'
+         RETURNING d.id, d.status`,
+        [Number(req.params.id), ownerOf(req)]
+      );
+      if (!r.rowCount) return res.status(404).json({ success: false, message: "발송건 없음(또는 이미 대기 중)" });
+      auditTarget(req, { entityType: "webhook_delivery", entityId: r.rows[0].id, after: { status: "pending" } });
+      res.json({ success: true, delivery: r.rows[0] });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
 
 // ----------------------------------------------------
-// PROFILE
+// MASTER APIs (통합관리 시스템용)
 // ----------------------------------------------------
-app.get("/profile", async (req, res) => {
-  const storeId = Number(req.query.storeId);
-  if (!storeId) return res.status(400).json({ success: false, message: "storeId 필요" });
 
+// ✅ 관리자 계정 (super_master 전용)
+const ADMIN_USER_COLUMNS = `id, username, name, role, head_office_id, active,
+       to_char(last_login_at,'YYYY-MM-DD HH24:MI:SS') AS last_login_at,
+       to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at`;
+
+// 입력값: username, password(10자 이상), name, role, headOfficeId(head_admin 필수), active
+function readAdminUserInput(body, { partial = false } = {}) {
+  const values = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!partial) {
+    const username = String(body.username || "").trim().toLowerCase();
+    if (!/^[a-z0-9._-]{3,50}$/.test(username)) return { error: "username: 영문소문자/숫자/._- 3~50자" };
+    values.username = username;
+  }
+  if (!partial || has("password")) {
+    if (String(body.password || "").length < 10) return { error: "password는 10자 이상" };
+    values.password = String(body.password);
+  }
+  if (!partial || has("role")) {
+    if (!ADMIN_ROLES.includes(body.role)) return { error: `role: ${ADMIN_ROLES.join(" / ")}` };
+    values.role = body.role;
+  }
+  if (has("name")) values.name = String(body.name || "").trim() || null;
+  if (has("headOfficeId")) {
+    const headOfficeId = parseIdParam(body.headOfficeId);
+    if (headOfficeId === undefined) return { error: "headOfficeId는 양의 정수" };
+    values.head_office_id = headOfficeId;
+  }
+  if (has("active")) values.active = Boolean(body.active);
+  return { values };
+}
+
+app.get("/master/admin-users", requireMaster, async (req, res) => {
   try {
-    const r = await pool.query("SELECT * FROM store_profiles WHERE store_id=$1", [storeId]);
-    if (!r.rows.length) return res.json({ success: true, profile: null });
-    res.json({ success: true, profile: r.rows[0] });
+    const r = await pool.query(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY id ASC`);
+    res.json({ success: true, adminUsers: r.rows });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.post("/profile/upsert", async (req, res) => {
-  const p = req.body;
-  const storeId = Number(p.storeId);
-  if (!storeId) return res.status(400).json({ success: false, message: "storeId 필요" });
+app.post("/master/admin-users", requireMaster, async (req, res) => {
+  const { values, error } = readAdminUserInput(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const headOfficeId = values.role === "head_admin" ? values.head_office_id : null;
+  if (values.role === "head_admin" && !headOfficeId) {
+    return res.status(400).json({ success: false, message: "head_admin은 headOfficeId 필요" });
+  }
 
   try {
-    await pool.query(
-      `INSERT INTO store_profiles(
-        store_id, business_no, company_name, ceo_name, business_address,
-        business_type, business_item, email, phone, depositor_name, updated_at
-      ) VALUES (
-        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10, now()
-      )
-      ON CONFLICT(store_id) DO UPDATE SET
-        business_no=EXCLUDED.business_no,
-        company_name=EXCLUDED.company_name,
-        ceo_name=EXCLUDED.ceo_name,
-        business_address=EXCLUDED.business_address,
-        business_type=EXCLUDED.business_type,
-        business_item=EXCLUDED.business_item,
-        email=EXCLUDED.email,
-        phone=EXCLUDED.phone,
-        depositor_name=EXCLUDED.depositor_name,
-        updated_at=now()
-      `,
-      [
-        storeId,
-        p.businessNo || null,
-        p.companyName || null,
-        p.ceoName || null,
-        p.businessAddress || null,
-        p.businessType || null,
-        p.businessItem || null,
-        p.email || null,
-        p.phone || null,
-        p.depositorName || null,
-      ]
+    if (headOfficeId) {
+      const ho = await pool.query("SELECT 1 FROM head_offices WHERE id=$1", [headOfficeId]);
+      if (!ho.rowCount) return res.status(404).json({ success: false, message: "본사 없음" });
+    }
+
+    const r = await pool.query(
+      `INSERT INTO admin_users(username, password_hash, name, role, head_office_id)
+       VALUES($1,$2,$3,$4,$5)
+       ON CONFLICT(username) DO NOTHING
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [values.username, await hashPassword(values.password), values.name ?? null, values.role, headOfficeId]
     );
+    if (!r.rowCount) return res.status(409).json({ success: false, message: "이미 사용 중인 username" });
 
-    const r = await pool.query("SELECT * FROM store_profiles WHERE store_id=$1", [storeId]);
-    res.json({ success: true, profile: r.rows[0] });
+    auditTarget(req, { entityType: "admin_user", entityId: r.rows[0].id, after: r.rows[0] });
+    res.status(201).json({ success: true, adminUser: r.rows[0] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ----------------------------------------------------
-// ✅ MOCK BANK (운영 전 테스트용)
-// ----------------------------------------------------
-app.post("/admin/bank/mock-incoming", requireMaster, async (req, res) => {
-  const { txId, amount, memo, depositor, occurredAt } = req.body;
-  if (!txId || !amount) {
-    return res.status(400).json({ success: false, message: "txId/amount 필요" });
-  }
-
-  const dup = await pool.query("SELECT 1 FROM bank_incoming_processed WHERE tx_id=$1", [txId]);
-  if (dup.rows.length) {
-    return res.json({ success: true, message: "이미 처리된 tx", txId });
-  }
-
-  const parsed = extractDepositCode(memo);
-  if (!parsed) {
-    await pool.query(
-      `INSERT INTO bank_incoming_processed(tx_id, amount, depositor, memo, occurred_at)
-       VALUES($1,$2,$3,$4,$5)`,
-      [txId, Number(amount), depositor || null, memo || null, occurredAt || null]
-    );
-    return res.json({ success: true, matched: false, message: "depositCode 파싱 실패(수동처리 필요)" });
-  }
-
-  const depositCode = `${parsed.headOfficeId}-${parsed.storeId}-${parsed.topupId}`;
-
-  const t = await pool.query(
-    `SELECT id, store_id
-     FROM point_topups
-     WHERE deposit_code=$1`,
-    [depositCode]
-  );
-
-  if (!t.rows.length) {
-    await pool.query(
-      `INSERT INTO bank_incoming_processed(tx_id, amount, depositor, memo, occurred_at)
-       VALUES($1,$2,$3,$4,$5)`,
-      [txId, Number(amount), depositor || null, memo || null, occurredAt || null]
-    );
-    return res.json({ success: true, matched: false, message: "deposit_code 매칭 실패(수동처리 필요)", depositCode });
+// 수정: 역할/본사 변경, 비활성화, 비밀번호 재설정 시 해당 계정 세션 전부 폐기
+app.patch("/master/admin-users/:id", requireMaster, async (req, res) => {
+  const id = Number(req.params.id);
+  const { values, error } = readAdminUserInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ success: false, message: error });
+  if (id === req.auth?.adminUserId && (values.active === false || (values.role && values.role !== "super_master"))) {
+    return res.status(400).json({ success: false, message: "본인 계정은 비활성화/권한 변경 불가" });
   }
 
-  const topupId = Number(t.rows[0].id);
-  const storeId = Number(t.rows[0].store_id);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-  await pool.query(
-    `INSERT INTO bank_incoming_processed(tx_id, amount, depositor, memo, occurred_at, matched_topup_id, matched_store_id)
-     VALUES($1,$2,$3,$4,$5,$6,$7)`,
-    [txId, Number(amount), depositor || null, memo || null, occurredAt || null, topupId, storeId]
-  );
+    const cur = await client.query(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id=$1 FOR UPDATE`, [id]);
+    if (!cur.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "관리자 없음" });
+    }
+    const before = cur.rows[0];
 
-  const result = await applyTopupPaid({
-    topupId,
-    memo: "KB 자동입금 확인 충전",
-    refType: "BANK",
-  });
+    const next = { ...before, ...values };
+    if (next.role !== "head_admin") next.head_office_id = null;
+    if (next.role === "head_admin" && !next.head_office_id) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, message: "head_admin은 headOfficeId 필요" });
+    }
+    if (next.head_office_id && next.head_office_id !== before.head_office_id) {
+      const ho = await client.query("SELECT 1 FROM head_offices WHERE id=$1", [next.head_office_id]);
+      if (!ho.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ success: false, message: "본사 없음" });
+      }
+    }
 
-  if (!result.ok) return res.status(result.status || 500).json({ success: false, message: result.message });
+    const r = await client.query(
+      `UPDATE admin_users
+       SET name=$2, role=$3, head_office_id=$4, active=$5,
+           password_hash=COALESCE($6, password_hash), updated_at=now()
+       WHERE id=$1
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [id, next.name, next.role, next.head_office_id, next.active, values.password ? await hashPassword(values.password) : null]
+    );
+    const after = r.rows[0];
 
-  return res.json({ success: true, matched: true, depositCode, ...result });
-});
+    const revoke =
+      values.password ||
+      !after.active ||
+      after.role !== before.role ||
+      after.head_office_id !== before.head_office_id;
+    if (revoke) await revokeAdminSessions(client, id);
 
-// ----------------------------------------------------
-// MASTER APIs (통합관리 시스템용)
-// ----------------------------------------------------
+    await client.query("COMMIT");
+    auditTarget(req, { entityType: "admin_user", entityId: id, before, after });
+    res.json({ success: true, adminUser: after, sessionsRevoked: Boolean(revoke) });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
 // ✅ 본사 목록 (+ 가맹점 수 포함)
+// q: 본사명/코드 검색, limit/cursor
 app.get("/master/head-offices", requireMaster, async (req, res) => {
+  const page = readPageParams(req.query);
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+  const q = req.query.q ? likePattern(req.query.q) : null;
+
   try {
-    const r = await pool.query(`
-      SELECT
+    const count = await pool.query(
+      "SELECT COUNT(*)::int AS total FROM head_offices WHERE $1::text IS NULL OR name ILIKE $1 OR code ILIKE $1",
+      [q]
+    );
+    const r = await pool.query(
+      `SELECT
         ho.id, ho.name, ho.code, ho.manager_name, ho.address, ho.phone,
         COUNT(s.id)::int AS store_count
       FROM head_offices ho
       LEFT JOIN stores s ON s.head_office_id = ho.id
+      WHERE ($1::text IS NULL OR ho.name ILIKE $1 OR ho.code ILIKE $1)
+        AND ($2::int IS NULL OR ho.id < $2)
       GROUP BY ho.id
       ORDER BY ho.id DESC
-    `);
-    res.json({ success: true, headOffices: r.rows });
+      LIMIT $3`,
+      [q, page.cursor, page.limit + 1]
+    );
+    const { rows, pageInfo } = pageOf(r.rows, page.limit, count.rows[0].total);
+    res.json({ success: true, headOffices: rows, pageInfo });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -747,6 +5206,7 @@ app.post("/master/head-offices", requireMaster, async (req, res) => {
        RETURNING id, name, code, manager_name, address, phone`,
       [name, code, manager_name ?? null, address ?? null, phone ?? null]
     );
+    auditTarget(req, { entityType: "head_office", entityId: r.rows[0].id, after: r.rows[0] });
     return res.status(201).json({ success: true, headOffice: r.rows[0] });
   } catch (err) {
     return res.status(500).json({ success: false, error: err.message });
@@ -759,6 +5219,9 @@ app.patch("/master/head-offices/:id", requireMaster, async (req, res) => {
   const { name, manager_name, address, phone } = req.body;
 
   try {
+    const before = await pool.query("SELECT id, name, code, manager_name, address, phone FROM head_offices WHERE id=$1", [
+      id,
+    ]);
     const r = await pool.query(
       `UPDATE head_offices
        SET name = COALESCE($2, name),
@@ -770,6 +5233,7 @@ app.patch("/master/head-offices/:id", requireMaster, async (req, res) => {
       [id, name ?? null, manager_name ?? null, address ?? null, phone ?? null]
     );
     if (!r.rowCount) return res.status(404).json({ success: false, message: "본사 없음" });
+    auditTarget(req, { entityType: "head_office", entityId: id, before: before.rows[0], after: r.rows[0] });
     res.json({ success: true, headOffice: r.rows[0] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -780,8 +5244,13 @@ app.patch("/master/head-offices/:id", requireMaster, async (req, res) => {
 app.delete("/master/head-offices/:id", requireMaster, async (req, res) => {
   const id = Number(req.params.id);
   try {
-    const r = await pool.query(`DELETE FROM head_offices WHERE id=$1`, [id]);
+    const r = await pool.query(
+      `DELETE FROM head_offices WHERE id=$1
+       RETURNING id, name, code, manager_name, address, phone`,
+      [id]
+    );
     if (!r.rowCount) return res.status(404).json({ success: false, message: "본사 없음" });
+    auditTarget(req, { entityType: "head_office", entityId: id, before: r.rows[0], after: null });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -789,20 +5258,64 @@ app.delete("/master/head-offices/:id", requireMaster, async (req, res) => {
 });
 
 // ✅ 가맹점 목록 (본사별)
+// headOfficeId(없으면 전체), q: 가맹점명 검색, status, limit/cursor
 app.get("/master/stores", requireMaster, async (req, res) => {
-  const { headOfficeId } = req.query;
-  if (!headOfficeId) return res.status(400).json({ success: false, message: "headOfficeId 필요" });
+  const page = readPageParams(req.query);
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+  const headOfficeId = parseIdParam(req.query.headOfficeId);
+  if (headOfficeId === undefined) return res.status(400).json({ success: false, message: "headOfficeId는 양의 정수" });
 
   try {
+    const filter = `($1::int IS NULL OR head_office_id = $1)
+         AND ($2::text IS NULL OR name ILIKE $2)
+         AND ($3::text IS NULL OR status = $3)`;
+    const params = [
+      headOfficeId,
+      req.query.q ? likePattern(req.query.q) : null,
+      req.query.status ? String(req.query.status).toUpperCase() : null,
+    ];
+
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM stores WHERE ${filter}`, params);
     const r = await pool.query(
       `SELECT id, head_office_id, name, address, phone, status, merchant_code, auth_code,
               to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
        FROM stores
-       WHERE head_office_id=$1
-       ORDER BY id DESC`,
+       WHERE ${filter}
+         AND ($4::int IS NULL OR id < $4)
+       ORDER BY id DESC
+       LIMIT $5`,
+      [...params, page.cursor, page.limit + 1]
+    );
+    const { rows, pageInfo } = pageOf(r.rows, page.limit, count.rows[0].total);
+    res.json({ success: true, stores: rows, pageInfo });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 가맹점 엑셀 다운로드 (업로드와 같은 컬럼 → 수정 후 재업로드 가능)
+app.get("/master/stores/export", requireMaster, async (req, res) => {
+  const { headOfficeId } = req.query;
+  if (!headOfficeId) return res.status(400).json({ success: false, message: "headOfficeId 필요" });
+
+  try {
+    const r = await pool.query(
+      `SELECT ho.code AS head_office_code, s.name AS store_name, s.address, s.phone, s.status, s.external_code
+       FROM stores s
+       JOIN head_offices ho ON ho.id = s.head_office_id
+       WHERE s.head_office_id=$1
+       ORDER BY s.id ASC`,
       [headOfficeId]
     );
-    res.json({ success: true, stores: r.rows });
+    const rows = r.rows.map((x) => ({
+      head_office_code: x.head_office_code,
+      store_name: x.store_name,
+      address: x.address || "",
+      phone: x.phone || "",
+      status: x.status,
+      external_code: x.external_code || "",
+    }));
+    sendExcel(res, `stores_${headOfficeId}.xlsx`, rows, "stores");
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -820,120 +5333,740 @@ app.post("/master/stores", requireMaster, async (req, res) => {
        VALUES($1,$2,$3,$4,$5,$6) RETURNING *`,
       [headOfficeId, name, address || null, phone || null, status || "ACTIVE", authCode]
     );
+    auditTarget(req, { entityType: "store", entityId: r.rows[0].id, after: r.rows[0] });
     res.json({ success: true, store: r.rows[0] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ 가맹점 엑셀 업로드 (본사코드 기준으로 매핑, auth_code 자동 생성)
-app.post("/master/stores/upload", requireMaster, upload.single("file"), async (req, res) => {
-  if (!req.file) return res.status(400).json({ success: false, message: "file 필요" });
+// ----------------------------------------------------
+// 엑셀 업로드 공통 (미리보기 / upsert / 전체 트랜잭션)
+// - mode=insert(기본): 모든 행 신규 등록 (키가 이미 있으면 오류)
+// - mode=upsert: 키(sku / external_code)로 기존 행을 찾아 수정, 없으면 등록, 변경 없으면 skip
+// - dryRun=1: 검증/계획만 하고 저장하지 않음
+// - atomic=1: 한 행이라도 실패하면 전체 롤백
+// ----------------------------------------------------
+function readUploadOptions(req) {
+  const o = { ...req.query, ...req.body };
+  const flag = (v) => v === true || v === "1" || v === "true";
+  return { mode: o.mode === "upsert" ? "upsert" : "insert", dryRun: flag(o.dryRun), atomic: flag(o.atomic) };
+}
 
-  const rows = readExcel(req.file.buffer);
-  const result = { inserted: 0, failed: [] };
+// 감사로그용 업로드 결과 요약 (행별 상세는 import_jobs 에 남음)
+function uploadAuditSummary(result) {
+  const { mode, dryRun, atomic, inserted, updated, skipped, failed } = result;
+  return { mode, dryRun, atomic, inserted, updated, skipped, failed: failed.length };
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    try {
-      const headOfficeCode = String(row.head_office_code || row.본사코드 || "").trim();
-      const storeName = String(row.store_name || row.가맹점명 || "").trim();
-      const address = String(row.address || row.주소 || "").trim() || null;
-      const phone = String(row.phone || row.연락처 || "").trim() || null;
-      const status = normalizeStatus(row.status || row.상태 || "ACTIVE", "ACTIVE");
+// plan(db, row, options) → { action: 'insert'|'update'|'skip', key, ... } (검증 실패는 throw)
+// apply(db, plan) → 실제 저장
+async function runExcelUpload(rows, options, { plan, apply }) {
+  const { dryRun, atomic } = options;
+  const result = { ...options, inserted: 0, updated: 0, skipped: 0, failed: [], rows: [] };
+  const headOfficeIds = new Set();
+  const counter = { insert: "inserted", update: "updated", skip: "skipped" };
+  const seenKeys = new Set();
+
+  const client = await pool.connect();
+  try {
+    if (atomic && !dryRun) await client.query("BEGIN");
+
+    // atomic: 행마다 SAVEPOINT → 실패 행만 되돌리고 나머지 행 검증은 계속
+    const useSavepoint = atomic && !dryRun;
+
+    for (let i = 0; i < rows.length; i++) {
+      const rowIndex = i + 2;
+      try {
+        if (useSavepoint) await client.query("SAVEPOINT upload_row");
+        let p;
+        try {
+          p = await plan(client, rows[i], options);
+          if (p.headOfficeId) headOfficeIds.add(p.headOfficeId);
+          if (p.key) {
+            if (seenKeys.has(p.key)) throw new Error(`파일 내 중복 키: ${p.key}`);
+            seenKeys.add(p.key);
+          }
+
+          if (!dryRun && p.action !== "skip") {
+            if (!atomic) await client.query("BEGIN");
+            try {
+              await apply(client, p);
+              if (!atomic) await client.query("COMMIT");
+            } catch (e) {
+              if (!atomic) await client.query("ROLLBACK");
+              throw e;
+            }
+          }
+          if (useSavepoint) await client.query("RELEASE SAVEPOINT upload_row");
+        } catch (e) {
+          if (useSavepoint) await client.query("ROLLBACK TO SAVEPOINT upload_row");
+          throw e;
+        }
+
+        result[counter[p.action]]++;
+        result.rows.push({ rowIndex, action: p.action, key: p.key || null, changes: p.changes || undefined });
+      } catch (e) {
+        result.failed.push({ rowIndex, error: e.message });
+        result.rows.push({ rowIndex, action: "error", error: e.message });
+      }
+    }
+
+    if (atomic && !dryRun) {
+      if (result.failed.length) {
+        await client.query("ROLLBACK");
+        result.rolledBack = true;
+        result.inserted = result.updated = 0;
+      } else {
+        await client.query("COMMIT");
+      }
+    }
+    // 파일 전체가 한 본사 대상이면 그 본사 id (작업 이력용)
+    result.headOfficeId = headOfficeIds.size === 1 ? [...headOfficeIds][0] : null;
+    return result;
+  } catch (err) {
+    if (atomic && !dryRun) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
-      if (!headOfficeCode || !storeName) throw new Error("head_office_code/store_name 필수");
+// multer originalname 은 latin1 로 들어옴 → 한글 파일명 복원
+function uploadedFileName(file) {
+  return file?.originalname ? Buffer.from(file.originalname, "latin1").toString("utf8") : null;
+}
 
-      const h = await pool.query("SELECT id FROM head_offices WHERE code=$1", [headOfficeCode]);
-      if (h.rowCount === 0) throw new Error(`본사코드 없음: ${headOfficeCode}`);
+// 업로드 1회 = import_jobs 1건 (실패 행은 원본 데이터와 함께 보관 → 오류 리포트 다운로드)
+async function recordImportJob({ kind, req, rows, result = null, error = null, startedAt }) {
+  const failedRows = (result?.failed || []).map((f) => ({ ...f, row: rows[f.rowIndex - 2] || {} }));
+  const status = error ? "error" : result.rolledBack ? "rolled_back" : result.dryRun ? "preview" : "done";
+
+  const r = await pool.query(
+    `INSERT INTO import_jobs(kind, file_name, uploaded_by, head_office_id, mode, dry_run, atomic, status,
+                             total_rows, inserted, updated, skipped, failed_count, failed_rows, error, started_at)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+     RETURNING id`,
+    [
+      kind,
+      uploadedFileName(req.file),
+      actorOf(req.auth),
+      result?.headOfficeId ?? null,
+      result?.mode ?? null,
+      Boolean(result?.dryRun),
+      Boolean(result?.atomic),
+      status,
+      rows.length,
+      result?.inserted ?? 0,
+      result?.updated ?? 0,
+      result?.skipped ?? 0,
+      failedRows.length,
+      JSON.stringify(failedRows),
+      error,
+      startedAt,
+    ]
+  );
+  return r.rows[0].id;
+}
 
-      const authCode = await generateUniqueStoreAuthCode();
+// 기존 행 대비 바뀐 필드 목록
+function diffFields(existing, data, fields) {
+  return fields.filter((f) => {
+    if (typeof data[f] === "number") return existing[f] == null || Number(existing[f]) !== data[f];
+    const a = existing[f] == null ? null : String(existing[f]);
+    const b = data[f] == null ? null : String(data[f]);
+    return a !== b;
+  });
+}
 
-      await pool.query(
-        `INSERT INTO stores(head_office_id, name, address, phone, status, auth_code)
-         VALUES($1,$2,$3,$4,$5,$6)`,
-        [h.rows[0].id, storeName, address, phone, status, authCode]
-      );
+async function findHeadOfficeIdByCode(db, code) {
+  const h = await db.query("SELECT id FROM head_offices WHERE code=$1", [code]);
+  if (h.rowCount === 0) throw new Error(`본사코드 없음: ${code}`);
+  return h.rows[0].id;
+}
 
-      result.inserted++;
-    } catch (e) {
-      result.failed.push({ rowIndex: i + 2, error: e.message });
-    }
+// 가맹점 행: head_office_code, store_name, address, phone, status, external_code(upsert 키)
+async function planStoreRow(db, row, { mode }) {
+  const headOfficeCode = String(row.head_office_code || row.본사코드 || "").trim();
+  const data = {
+    name: String(row.store_name || row.가맹점명 || "").trim(),
+    address: String(row.address || row.주소 || "").trim() || null,
+    phone: String(row.phone || row.연락처 || "").trim() || null,
+    status: normalizeStatus(row.status || row.상태 || "ACTIVE", "ACTIVE"),
+    external_code: String(row.external_code || row.store_code || row.외부코드 || "").trim() || null,
+  };
+
+  if (!headOfficeCode || !data.name) throw new Error("head_office_code/store_name 필수");
+  if (mode === "upsert" && !data.external_code) throw new Error("external_code 필수(upsert)");
+
+  const headOfficeId = await findHeadOfficeIdByCode(db, headOfficeCode);
+  const key = data.external_code ? `${headOfficeId}:${data.external_code}` : null;
+
+  let existing = null;
+  if (data.external_code) {
+    const e = await db.query(
+      "SELECT id, name, address, phone, status FROM stores WHERE head_office_id=$1 AND external_code=$2",
+      [headOfficeId, data.external_code]
+    );
+    existing = e.rows[0] || null;
+  }
+
+  if (!existing) return { action: "insert", key, headOfficeId, data };
+  if (mode !== "upsert") throw new Error(`이미 존재하는 external_code: ${data.external_code}`);
+
+  const changes = diffFields(existing, data, ["name", "address", "phone", "status"]);
+  return { action: changes.length ? "update" : "skip", key, headOfficeId, data, existing, changes };
+}
+
+async function applyStoreRow(db, p) {
+  const { data } = p;
+  if (p.action === "insert") {
+    const authCode = await generateUniqueStoreAuthCode();
+    await db.query(
+      `INSERT INTO stores(head_office_id, name, address, phone, status, auth_code, external_code)
+       VALUES($1,$2,$3,$4,$5,$6,$7)`,
+      [p.headOfficeId, data.name, data.address, data.phone, data.status, authCode, data.external_code]
+    );
+  } else {
+    await db.query("UPDATE stores SET name=$2, address=$3, phone=$4, status=$5 WHERE id=$1", [
+      p.existing.id,
+      data.name,
+      data.address,
+      data.phone,
+      data.status,
+    ]);
   }
+}
+
+// ✅ 가맹점 엑셀 업로드 (본사코드 기준으로 매핑, auth_code 자동 생성)
+// 옵션: mode=insert|upsert, dryRun=1, atomic=1 (query 또는 form field)
+app.post("/master/stores/upload", requireMaster, upload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, message: "file 필요" });
 
-  res.json({ success: true, ...result });
+  const startedAt = new Date();
+  let rows = [];
+  try {
+    rows = readExcel(req.file.buffer);
+    const result = await runExcelUpload(rows, readUploadOptions(req), { plan: planStoreRow, apply: applyStoreRow });
+    const jobId = await recordImportJob({ kind: "stores", req, rows, result, startedAt });
+    auditTarget(req, { entityType: "import_job", entityId: jobId, after: uploadAuditSummary(result) });
+    res.json({ success: true, jobId, ...result });
+  } catch (err) {
+    await recordImportJob({ kind: "stores", req, rows, error: err.message, startedAt }).catch(() => {});
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 // ✅ 상품 목록 (본사 선택 후)
+// headOfficeId(없으면 전체), q: 상품명/SKU 검색, category, status, archived(0|1, 없으면 전체), limit/cursor
 app.get("/master/products", requireMaster, async (req, res) => {
-  const { headOfficeId } = req.query;
-  if (!headOfficeId) return res.status(400).json({ success: false, message: "headOfficeId 필요" });
+  const page = readPageParams(req.query);
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+  const headOfficeId = parseIdParam(req.query.headOfficeId);
+  if (headOfficeId === undefined) return res.status(400).json({ success: false, message: "headOfficeId는 양의 정수" });
+  const archived = req.query.archived == null || req.query.archived === "" ? null : req.query.archived === "1";
 
   try {
+    const filter = `($1::int IS NULL OR head_office_id = $1)
+         AND ($2::text IS NULL OR name ILIKE $2 OR sku ILIKE $2)
+         AND ($3::text IS NULL OR category = $3)
+         AND ($4::text IS NULL OR status = $4)
+         AND ($5::boolean IS NULL OR (archived_at IS NOT NULL) = $5)`;
+    const params = [
+      headOfficeId,
+      req.query.q ? likePattern(req.query.q) : null,
+      req.query.category || null,
+      req.query.status ? normalizeStatus(req.query.status) : null,
+      archived,
+    ];
+
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM products WHERE ${filter}`, params);
     const r = await pool.query(
-      `SELECT id, head_office_id, name, category, price, unit, image_url, status,
+      `SELECT id, head_office_id, name, category, price, unit, image_url, thumbnail_url, status, stock_qty, sku,
+              to_char(archived_at,'YYYY-MM-DD HH24:MI:SS') AS archived_at,
               to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
        FROM products
-       WHERE head_office_id=$1
-       ORDER BY id DESC`,
+       WHERE ${filter}
+         AND ($6::int IS NULL OR id < $6)
+       ORDER BY id DESC
+       LIMIT $7`,
+      [...params, page.cursor, page.limit + 1]
+    );
+    const { rows, pageInfo } = pageOf(r.rows, page.limit, count.rows[0].total);
+    res.json({ success: true, products: rows, pageInfo });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 상품 엑셀 다운로드 (업로드와 같은 컬럼 → 수정 후 재업로드 가능)
+app.get("/master/products/export", requireMaster, async (req, res) => {
+  const { headOfficeId } = req.query;
+  if (!headOfficeId) return res.status(400).json({ success: false, message: "headOfficeId 필요" });
+
+  try {
+    const r = await pool.query(
+      `SELECT ho.code AS head_office_code, p.name, p.category, p.price, p.unit, p.status, p.stock_qty, p.sku
+       FROM products p
+       JOIN head_offices ho ON ho.id = p.head_office_id
+       WHERE p.head_office_id=$1 AND p.archived_at IS NULL
+       ORDER BY p.id ASC`,
       [headOfficeId]
     );
-    res.json({ success: true, products: r.rows });
+    const rows = r.rows.map((x) => ({
+      head_office_code: x.head_office_code,
+      name: x.name,
+      category: x.category || "",
+      price: Number(x.price),
+      unit: x.unit || "",
+      status: x.status,
+      stock: x.stock_qty == null ? "" : x.stock_qty,
+      sku: x.sku || "",
+    }));
+    sendExcel(res, `products_${headOfficeId}.xlsx`, rows, "products");
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ 상품 품절 토글 (재고 없이 status만: ACTIVE / SOLD_OUT)
+// ✅ 상품 품절 토글 (status 수동 변경: ACTIVE / SOLD_OUT / INACTIVE, 재고 관리 상품은 재고 0에서 자동 SOLD_OUT)
 app.patch("/master/products/:id/status", requireMaster, async (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
   try {
+    const before = await pool.query("SELECT status FROM products WHERE id=$1", [id]);
     const r = await pool.query("UPDATE products SET status=$1 WHERE id=$2 RETURNING *", [
       normalizeStatus(status, "ACTIVE"),
       id,
     ]);
+    auditTarget(req, {
+      entityType: "product",
+      entityId: id,
+      before: before.rows[0] || null,
+      after: r.rows[0] ? { status: r.rows[0].status } : null,
+    });
     res.json({ success: true, product: r.rows[0] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// 상품 행: head_office_code, name, category, price, unit, status, stock, sku(upsert 키)
+function makeProductRowPlanner(actor) {
+  return async function planProductRow(db, row, { mode }) {
+    const headOfficeCode = String(row.head_office_code || row.본사코드 || "").trim();
+    const stockRaw = String(row.stock ?? row.재고 ?? "").trim();
+    const data = {
+      name: String(row.name || row.상품명 || "").trim(),
+      category: String(row.category || row.카테고리 || "").trim() || null,
+      price: Number(row.price || row.가격),
+      unit: String(row.unit || row.단위 || "").trim() || null,
+      status: normalizeStatus(row.status || row.상태 || "ACTIVE", "ACTIVE"),
+      stock_qty: stockRaw === "" ? null : Number(stockRaw),
+      sku: String(row.sku || row.상품코드 || "").trim() || null,
+    };
+
+    if (!headOfficeCode || !data.name || Number.isNaN(data.price)) throw new Error("head_office_code/name/price 필수");
+    if (data.stock_qty != null && !(Number.isInteger(data.stock_qty) && data.stock_qty >= 0)) {
+      throw new Error("stock은 0 이상 정수");
+    }
+    if (mode === "upsert" && !data.sku) throw new Error("sku 필수(upsert)");
+
+    const headOfficeId = await findHeadOfficeIdByCode(db, headOfficeCode);
+    const key = data.sku ? `${headOfficeId}:${data.sku}` : null;
+
+    let existing = null;
+    if (data.sku) {
+      const e = await db.query(
+        "SELECT id, name, category, price, unit, status, stock_qty FROM products WHERE head_office_id=$1 AND sku=$2",
+        [headOfficeId, data.sku]
+      );
+      existing = e.rows[0] || null;
+    }
+
+    if (!existing) return { action: "insert", key, headOfficeId, data, actor };
+    if (mode !== "upsert") throw new Error(`이미 존재하는 sku: ${data.sku}`);
+
+    // 재고 칸이 비어 있으면 재고는 건드리지 않음
+    const fields = ["name", "category", "price", "unit", "status"];
+    if (data.stock_qty != null) fields.push("stock_qty");
+    const changes = diffFields(existing, data, fields);
+    return { action: changes.length ? "update" : "skip", key, headOfficeId, data, existing, changes, actor };
+  };
+}
+
+async function applyProductRow(db, p) {
+  const { data } = p;
+  if (p.action === "insert") {
+    const ins = await db.query(
+      `INSERT INTO products(head_office_id, name, category, price, unit, status, stock_qty, sku)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8)
+       RETURNING id`,
+      [
+        p.headOfficeId,
+        data.name,
+        data.category,
+        data.price,
+        data.unit,
+        data.stock_qty === 0 && data.status === "ACTIVE" ? "SOLD_OUT" : data.status,
+        data.stock_qty,
+        data.sku,
+      ]
+    );
+    if (data.stock_qty != null) {
+      await db.query(
+        `INSERT INTO stock_movements(product_id, change_qty, stock_after, reason, actor)
+         VALUES($1,$2,$2,'IMPORT',$3)`,
+        [ins.rows[0].id, data.stock_qty, p.actor]
+      );
+    }
+    return;
+  }
+
+  await db.query("UPDATE products SET name=$2, category=$3, price=$4, unit=$5, status=$6 WHERE id=$1", [
+    p.existing.id,
+    data.name,
+    data.category,
+    data.price,
+    data.unit,
+    data.status,
+  ]);
+
+  if (data.stock_qty != null && data.stock_qty !== p.existing.stock_qty) {
+    await db.query("SELECT 1 FROM products WHERE id=$1 FOR UPDATE", [p.existing.id]);
+    if (p.existing.stock_qty == null) await db.query("UPDATE products SET stock_qty=0 WHERE id=$1", [p.existing.id]);
+    await moveStock(db, {
+      productId: p.existing.id,
+      delta: data.stock_qty - Number(p.existing.stock_qty || 0),
+      reason: "IMPORT",
+      actor: p.actor,
+    });
+  }
+}
+
 // ✅ 상품 엑셀 업로드 (본사코드 기준)
+// 옵션: mode=insert|upsert, dryRun=1, atomic=1 (query 또는 form field)
 app.post("/master/products/upload", requireMaster, upload.single("file"), async (req, res) => {
   if (!req.file) return res.status(400).json({ success: false, message: "file 필요" });
 
-  const rows = readExcel(req.file.buffer);
-  const result = { inserted: 0, failed: [] };
+  const startedAt = new Date();
+  let rows = [];
+  try {
+    rows = readExcel(req.file.buffer);
+    const result = await runExcelUpload(rows, readUploadOptions(req), {
+      plan: makeProductRowPlanner(actorOf(req.auth)),
+      apply: applyProductRow,
+    });
+    const jobId = await recordImportJob({ kind: "products", req, rows, result, startedAt });
+    auditTarget(req, { entityType: "import_job", entityId: jobId, after: uploadAuditSummary(result) });
+    res.json({ success: true, jobId, ...result });
+  } catch (err) {
+    await recordImportJob({ kind: "products", req, rows, error: err.message, startedAt }).catch(() => {});
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 업로드 작업 이력 (kind=stores|products, headOfficeId)
+app.get("/master/import-jobs", requireMaster, async (req, res) => {
+  const { kind } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const headOfficeId = parseIdParam(req.query.headOfficeId);
+  if (headOfficeId === undefined) return res.status(400).json({ success: false, message: "headOfficeId는 양의 정수" });
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    try {
-      const headOfficeCode = String(row.head_office_code || row.본사코드 || "").trim();
-      const name = String(row.name || row.상품명 || "").trim();
-      const category = String(row.category || row.카테고리 || "").trim() || null;
-      const price = Number(row.price || row.가격);
-      const unit = String(row.unit || row.단위 || "").trim() || null;
-      const status = normalizeStatus(row.status || row.상태 || "ACTIVE", "ACTIVE");
+  try {
+    const r = await pool.query(
+      `SELECT j.id, j.kind, j.file_name, j.uploaded_by, j.head_office_id, ho.name AS head_office_name,
+              j.mode, j.dry_run, j.atomic, j.status, j.total_rows, j.inserted, j.updated, j.skipped,
+              j.failed_count, j.error,
+              to_char(j.started_at,'YYYY-MM-DD HH24:MI:SS') AS started_at,
+              to_char(j.finished_at,'YYYY-MM-DD HH24:MI:SS') AS finished_at
+       FROM import_jobs j
+       LEFT JOIN head_offices ho ON ho.id = j.head_office_id
+       WHERE ($1::text IS NULL OR j.kind = $1)
+         AND ($2::int IS NULL OR j.head_office_id = $2)
+       ORDER BY j.id DESC
+       LIMIT $3`,
+      [kind || null, headOfficeId, limit]
+    );
+    res.json({ success: true, jobs: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 업로드 오류 리포트 다운로드: 실패 행 원본 컬럼 + 오류 컬럼 → 수정 후 그대로 재업로드
+app.get("/master/import-jobs/:id/errors", requireMaster, async (req, res) => {
+  try {
+    const r = await pool.query("SELECT id, kind, file_name, failed_rows FROM import_jobs WHERE id=$1", [
+      Number(req.params.id),
+    ]);
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "작업 없음" });
 
-      if (!headOfficeCode || !name || Number.isNaN(price)) throw new Error("head_office_code/name/price 필수");
+    const job = r.rows[0];
+    const rows = (job.failed_rows || []).map((f) => ({ ...f.row, 오류: `[${f.rowIndex}행] ${f.error}` }));
+    const base = String(job.file_name || `${job.kind}.xlsx`).replace(/\.(xlsx|xls|csv)$/i, "");
+    sendExcel(res, `${base}_errors_${job.id}.xlsx`, rows, "errors");
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-      const h = await pool.query("SELECT id FROM head_offices WHERE code=$1", [headOfficeCode]);
-      if (h.rowCount === 0) throw new Error(`본사코드 없음: ${headOfficeCode}`);
+// ✅ 공통 공휴일 등록/삭제 (전체 본사 배송일 계산에 적용)
+app.post("/master/holidays", requireMaster, async (req, res) => {
+  const dates = (Array.isArray(req.body.holidays) ? req.body.holidays : [req.body]).map((h) => ({
+    date: parseDateParam(h?.date),
+    name: String(h?.name || "").trim() || null,
+  }));
+  if (!dates.length || dates.some((h) => !h.date)) {
+    return res.status(400).json({ success: false, message: "date 형식: YYYY-MM-DD" });
+  }
 
+  try {
+    const before = await pool.query(
+      `SELECT to_char(holiday_date,'YYYY-MM-DD') AS date, name
+       FROM delivery_holidays
+       WHERE head_office_id IS NULL AND holiday_date = ANY($1::date[])`,
+      [dates.map((h) => h.date)]
+    );
+    for (const h of dates) {
       await pool.query(
-        `INSERT INTO products(head_office_id, name, category, price, unit, status)
-         VALUES($1,$2,$3,$4,$5,$6)`,
-        [h.rows[0].id, name, category, price, unit, status]
+        `INSERT INTO delivery_holidays(head_office_id, holiday_date, name)
+         VALUES(NULL,$1,$2)
+         ON CONFLICT((COALESCE(head_office_id, 0)), holiday_date) DO UPDATE SET name=EXCLUDED.name`,
+        [h.date, h.name]
       );
-
-      result.inserted++;
-    } catch (e) {
-      result.failed.push({ rowIndex: i + 2, error: e.message });
     }
+    auditTarget(req, {
+      entityType: "holiday",
+      entityId: dates.length === 1 ? dates[0].date : null,
+      before: before.rows,
+      after: dates,
+    });
+    res.json({ success: true, count: dates.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/master/holidays/:date", requireMaster, async (req, res) => {
+  const date = parseDateParam(req.params.date);
+  if (!date) return res.status(400).json({ success: false, message: "date 형식: YYYY-MM-DD" });
+
+  try {
+    const r = await pool.query(
+      "DELETE FROM delivery_holidays WHERE head_office_id IS NULL AND holiday_date=$1 RETURNING name",
+      [date]
+    );
+    if (!r.rowCount) return res.status(404).json({ success: false, message: "휴일 없음" });
+    auditTarget(req, { entityType: "holiday", entityId: date, before: { date, name: r.rows[0].name }, after: null });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------------------------------------------
+// WALLET AUDIT / DAILY SNAPSHOT (정산용)
+// ----------------------------------------------------
+// 일별 스냅샷: 기초잔액(전일까지 원장 합) / 당일 입금(+) / 당일 차감(-, 양수로 저장) / 기말잔액
+// date 미지정 시 어제(KST). 이미 있는 (store_id, snap_date)는 건너뜀
+async function snapshotWalletsForDate(date = null) {
+  const r = await pool.query(
+    `WITH d AS (SELECT COALESCE($1::date, CURRENT_DATE - 1) AS day)
+     INSERT INTO wallet_daily_snapshots(store_id, snap_date, opening_balance, credits, debits, closing_balance)
+     SELECT s.id, d.day,
+            COALESCE(SUM(l.amount) FILTER (WHERE l.created_at < d.day), 0),
+            COALESCE(SUM(l.amount) FILTER (WHERE l.created_at >= d.day AND l.amount > 0), 0),
+            COALESCE(-SUM(l.amount) FILTER (WHERE l.created_at >= d.day AND l.amount < 0), 0),
+            COALESCE(SUM(l.amount), 0)
+     FROM d
+     CROSS JOIN stores s
+     LEFT JOIN point_ledger l ON l.store_id = s.id AND l.created_at < d.day + 1
+     GROUP BY s.id, d.day
+     ON CONFLICT (store_id, snap_date) DO NOTHING`,
+    [date]
+  );
+  return r.rowCount;
+}
+
+// 정기 실행용: 어제(KST) 스냅샷을 하루 1회만 생성 (이미 있으면 원장 집계 없이 건너뜀)
+let lastWalletSnapshotDay = null;
+async function runDailyWalletSnapshot() {
+  const day = addDays(nowKst().date, -1);
+  if (lastWalletSnapshotDay === day) return 0;
+
+  const done = await pool.query("SELECT 1 FROM wallet_daily_snapshots WHERE snap_date=$1 LIMIT 1", [day]);
+  const created = done.rowCount ? 0 : await snapshotWalletsForDate(day);
+  lastWalletSnapshotDay = day;
+  return created;
+}
+
+// ✅ 지갑 잔액 ↔ 원장 합계 정합성 점검 (기본: 차이 있는 가맹점만, all=1 이면 전체)
+app.get("/master/audit/wallets", requireFinance, async (req, res) => {
+  const headOfficeId = parseIdParam(req.query.headOfficeId);
+  if (headOfficeId === undefined) return res.status(400).json({ success: false, message: "headOfficeId는 양의 정수" });
+  const all = req.query.all === "1";
+
+  try {
+    const r = await pool.query(
+      `SELECT * FROM (
+         SELECT s.id AS store_id, s.name AS store_name, s.head_office_id,
+                COALESCE(w.balance, 0) AS wallet_balance,
+                COALESCE(l.ledger_balance, 0) AS ledger_balance,
+                COALESCE(w.balance, 0) - COALESCE(l.ledger_balance, 0) AS drift,
+                COALESCE(l.ledger_count, 0)::int AS ledger_count
+         FROM stores s
+         LEFT JOIN store_wallets w ON w.store_id = s.id
+         LEFT JOIN (
+           SELECT store_id, SUM(amount) AS ledger_balance, COUNT(*) AS ledger_count
+           FROM point_ledger
+           GROUP BY store_id
+         ) l ON l.store_id = s.id
+         WHERE ($1::int IS NULL OR s.head_office_id = $1)
+       ) x
+       WHERE $2 OR x.drift <> 0
+       ORDER BY ABS(x.drift) DESC, x.store_id ASC`,
+      [headOfficeId, all]
+    );
+
+    const driftCount = r.rows.filter((x) => Number(x.drift) !== 0).length;
+    res.json({ success: true, checkedAt: new Date().toISOString(), driftCount, stores: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 일별 스냅샷 수동 생성/백필 (body.date: 'YYYY-MM-DD', 없으면 어제)
+app.post("/master/wallet-snapshots/run", requireFinance, async (req, res) => {
+  const date = parseDateParam(req.body?.date);
+  if (date === undefined) return res.status(400).json({ success: false, message: "date 형식: YYYY-MM-DD" });
+
+  try {
+    const created = await snapshotWalletsForDate(date);
+    auditTarget(req, { entityType: "wallet_snapshot", entityId: date, after: { date, created } });
+    res.json({ success: true, date, created });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 일별 스냅샷 조회 (storeId 또는 headOfficeId, from~to)
+app.get("/master/wallet-snapshots", requireFinance, async (req, res) => {
+  const { storeId, headOfficeId } = req.query;
+  if (!storeId && !headOfficeId) return res.status(400).json({ success: false, message: "storeId 또는 headOfficeId 필요" });
+  if ([storeId, headOfficeId].some((v) => v && !Number.isInteger(Number(v)))) {
+    return res.status(400).json({ success: false, message: "storeId/headOfficeId는 정수" });
+  }
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, message: "from/to 형식: YYYY-MM-DD" });
+  }
+
+  try {
+    const r = await pool.query(
+      `SELECT ws.store_id, s.name AS store_name,
+              to_char(ws.snap_date,'YYYY-MM-DD') AS snap_date,
+              ws.opening_balance, ws.credits, ws.debits, ws.closing_balance
+       FROM wallet_daily_snapshots ws
+       JOIN stores s ON s.id = ws.store_id
+       WHERE ($1::int IS NULL OR ws.store_id = $1)
+         AND ($2::int IS NULL OR s.head_office_id = $2)
+         AND ($3::date IS NULL OR ws.snap_date >= $3)
+         AND ($4::date IS NULL OR ws.snap_date <= $4)
+       ORDER BY ws.snap_date DESC, ws.store_id ASC`,
+      [storeId || null, headOfficeId || null, from, to]
+    );
+    res.json({ success: true, snapshots: r.rows });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 월말 정산 리포트 (스냅샷 기준): 월초 기초잔액 / 월 입금 / 월 차감 / 월말 기말잔액
+app.get("/master/reports/monthly", requireFinance, async (req, res) => {
+  const month = parseMonthParam(req.query.month);
+  if (!month) return res.status(400).json({ success: false, message: "month 형식: YYYY-MM" });
+  const headOfficeId = parseIdParam(req.query.headOfficeId);
+  if (headOfficeId === undefined) return res.status(400).json({ success: false, message: "headOfficeId는 양의 정수" });
+
+  try {
+    const r = await pool.query(
+      `WITH m AS (
+         SELECT to_date($1, 'YYYY-MM') AS first_day,
+                (to_date($1, 'YYYY-MM') + interval '1 month' - interval '1 day')::date AS last_day
+       ),
+       snaps AS (
+         SELECT ws.*
+         FROM wallet_daily_snapshots ws, m
+         WHERE ws.snap_date BETWEEN m.first_day AND m.last_day
+       )
+       SELECT s.id AS store_id, s.name AS store_name, s.head_office_id,
+              (SELECT opening_balance FROM snaps x WHERE x.store_id = s.id ORDER BY snap_date ASC LIMIT 1) AS opening_balance,
+              COALESCE(SUM(sn.credits), 0) AS credits,
+              COALESCE(SUM(sn.debits), 0) AS debits,
+              (SELECT closing_balance FROM snaps x WHERE x.store_id = s.id ORDER BY snap_date DESC LIMIT 1) AS closing_balance,
+              COUNT(sn.snap_date)::int AS snapshot_days,
+              (SELECT last_day - first_day + 1 FROM m)::int AS month_days
+       FROM stores s
+       LEFT JOIN snaps sn ON sn.store_id = s.id
+       WHERE ($2::int IS NULL OR s.head_office_id = $2)
+       GROUP BY s.id
+       ORDER BY s.head_office_id ASC, s.id ASC`,
+      [month, headOfficeId]
+    );
+
+    // 스냅샷이 빠진 날이 있으면 리포트가 불완전함을 표시
+    const stores = r.rows.map((x) => ({ ...x, complete: x.snapshot_days === x.month_days }));
+    res.json({ success: true, month, stores });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 감사로그 조회 (actor 부분일치, entityType/entityId, from/to, 최신순, limit/cursor)
+app.get("/master/audit-logs", requireMaster, async (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, message: "from/to 형식: YYYY-MM-DD" });
   }
+  const page = readPageParams(req.query, { defaultLimit: 100, maxLimit: 500 });
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+  const headOfficeId = parseIdParam(req.query.headOfficeId);
+  if (headOfficeId === undefined) return res.status(400).json({ success: false, message: "headOfficeId는 양의 정수" });
 
-  res.json({ success: true, ...result });
+  try {
+    const r = await pool.query(
+      `SELECT id, actor, scope, head_office_id, method, route, path, status_code,
+              entity_type, entity_id, before, after, request, ip,
+              to_char(created_at,'YYYY-MM-DD HH24:MI:SS') AS created_at
+       FROM audit_logs
+       WHERE ($1::text IS NULL OR actor ILIKE $1)
+         AND ($2::text IS NULL OR entity_type = $2)
+         AND ($3::text IS NULL OR entity_id = $3)
+         AND ($4::date IS NULL OR created_at >= $4::date)
+         AND ($5::date IS NULL OR created_at < $5::date + 1)
+         AND ($6::int IS NULL OR head_office_id = $6)
+         AND ($7::bigint IS NULL OR id < $7)
+       ORDER BY id DESC
+       LIMIT $8`,
+      [
+        req.query.actor ? likePattern(req.query.actor) : null,
+        req.query.entityType || null,
+        req.query.entityId || null,
+        from,
+        to,
+        headOfficeId,
+        page.cursor,
+        page.limit + 1,
+      ]
+    );
+    const { rows, pageInfo } = pageOf(r.rows, page.limit);
+    res.json({ success: true, logs: rows, pageInfo });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 // ----------------------------------------------------
@@ -952,12 +6085,51 @@ app.get("/__whoami", (req, res) => {
 // ----------------------------------------------------
 const distPath = path.join(__dirname, "dist");
 app.use(express.static(distPath));
+app.use("/uploads", express.static(uploadPath, { fallthrough: false }));
 
 // SPA 라우팅 (API 경로 제외) ✅ master도 제외해야 함
-app.get(/^\/(?!auth|products|orders|head|wallet|topups|admin|profile|points|master|__whoami).*/, (req, res) => {
+app.get(/^\/(?!auth|products|orders|cart|templates|statements|head|wallet|topups|admin|profile|points|master|uploads|__whoami).*/, (req, res) => {
   res.sendFile(path.join(distPath, "index.html"));
 });
 
+// ----------------------------------------------------
+// Scheduled Jobs
+// ----------------------------------------------------
+function runJob(name, fn) {
+  fn()
+    .then((n) => n && console.log(`⏰ ${name}: ${n}건`))
+    .catch((err) => console.error(`❌ ${name} 실패:`, err.message));
+}
+
+function startScheduledJobs() {
+  const HOUR = 60 * 60 * 1000;
+  setInterval(() => runJob("충전요청 만료", async () => (await expireStaleTopups()).length), HOUR);
+  setInterval(() => runJob("지갑 일별 스냅샷", runDailyWalletSnapshot), HOUR);
+  setInterval(() => runJob("정기주문 자동실행", runDueOrderTemplates), 5 * 60 * 1000);
+  setInterval(() => runJob("웹훅 발송", dispatchWebhooks), 15 * 1000);
+}
+
+// 최초 super_master 계정 (admin_users 가 비어 있을 때만, ADMIN_BOOTSTRAP_USERNAME/PASSWORD)
+async function ensureBootstrapAdmin() {
+  const username = String(process.env.ADMIN_BOOTSTRAP_USERNAME || "").trim().toLowerCase();
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD || "";
+  if (!username || !password) return;
+
+  const r = await pool.query(
+    `INSERT INTO admin_users(username, password_hash, name, role)
+     SELECT $1, $2, $1, 'super_master'
+     WHERE NOT EXISTS (SELECT 1 FROM admin_users)
+     RETURNING id`,
+    [username, await hashPassword(password)]
+  );
+  if (r.rowCount) console.log(`✅ 최초 관리자 계정 생성: ${username}`);
+}
+
 // 서버 실행 (✅ 맨 마지막)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🚀 서버 실행 중: 포트 ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`🚀 서버 실행 중: 포트 ${PORT}`);
+  startScheduledJobs();
+  startEventListener();
+  runJob("최초 관리자 계정", ensureBootstrapAdmin);
+});
@@ -0,0 +1,16 @@
+-- 로그인 세션 (가맹점/본사/마스터)
+-- refresh token 원문은 저장하지 않고 sha256 해시만 보관
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id                 BIGSERIAL PRIMARY KEY,
+  scope              VARCHAR(20) NOT NULL,             -- store / head / master
+  store_id           INT REFERENCES stores(id) ON DELETE CASCADE,
+  head_office_id     INT REFERENCES head_offices(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at         TIMESTAMPTZ NOT NULL,
+  revoked_at         TIMESTAMPTZ,
+  last_used_at       TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_store ON auth_sessions(store_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_head_office ON auth_sessions(head_office_id);
@@ -0,0 +1,15 @@
+-- 본사 주문처리 단계별 시각/처리자
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS confirmed_at  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS confirmed_by  VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS shipped_at    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS shipped_by    VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS delivered_at  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS delivered_by  VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS rejected_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejected_by   VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS reject_reason TEXT;
+
+-- 처리자 표시용 이름 (본사 로그인 시 staffName)
+ALTER TABLE auth_sessions
+  ADD COLUMN IF NOT EXISTS actor_name VARCHAR(50);
@@ -0,0 +1,9 @@
+-- 가맹점 주문취소 시각/처리자
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(100);
+
+-- 주문당 환불 1회 보장
+CREATE UNIQUE INDEX IF NOT EXISTS uq_point_ledger_order_refund
+  ON point_ledger(ref_id)
+  WHERE type = 'ORDER_REFUND' AND ref_type = 'ORDER';
@@ -0,0 +1,8 @@
+-- 미매칭 입금 수동 매칭 처리자/시각
+ALTER TABLE bank_incoming_processed
+  ADD COLUMN IF NOT EXISTS matched_by VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS matched_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bank_incoming_unmatched
+  ON bank_incoming_processed(occurred_at)
+  WHERE matched_topup_id IS NULL;
@@ -0,0 +1,26 @@
+-- 실제 입금 누계 (부족입금 시 partially_paid 상태에서 누적)
+ALTER TABLE point_topups
+  ADD COLUMN IF NOT EXISTS paid_amount NUMERIC NOT NULL DEFAULT 0;
+
+-- 기존 paid 건은 요청금액 전액 입금으로 간주
+UPDATE point_topups SET paid_amount = amount WHERE status = 'paid' AND paid_amount = 0;
+
+-- 입금액 불일치(부족/초과) 검토 대상
+CREATE TABLE IF NOT EXISTS deposit_discrepancies (
+  id              BIGSERIAL PRIMARY KEY,
+  topup_id        INT NOT NULL REFERENCES point_topups(id),
+  store_id        INT NOT NULL REFERENCES stores(id),
+  tx_id           VARCHAR(100),                      -- 수동 승인은 NULL
+  kind            VARCHAR(10) NOT NULL,              -- UNDER / OVER
+  expected_amount NUMERIC NOT NULL,
+  received_amount NUMERIC NOT NULL,
+  diff_amount     NUMERIC NOT NULL,                  -- received - expected
+  policy          VARCHAR(20),                       -- UNDER 일 때 적용 정책(partial/close)
+  status          VARCHAR(20) NOT NULL DEFAULT 'open', -- open / resolved
+  resolved_by     VARCHAR(100),
+  resolution_note TEXT,
+  resolved_at     TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deposit_discrepancies_status ON deposit_discrepancies(status);
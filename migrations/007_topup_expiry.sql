@@ -0,0 +1,12 @@
+-- 충전요청 취소/만료
+ALTER TABLE point_topups
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expired_at   TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_point_topups_requested
+  ON point_topups(created_at)
+  WHERE status = 'requested';
+
+-- 수동검토 사유 (ex: TOPUP_EXPIRED / TOPUP_CANCELLED)
+ALTER TABLE bank_incoming_processed
+  ADD COLUMN IF NOT EXISTS review_reason VARCHAR(50);
@@ -0,0 +1,13 @@
+-- 가맹점 지갑 일별 스냅샷 (월말 정산 리포트 기준)
+CREATE TABLE IF NOT EXISTS wallet_daily_snapshots (
+  store_id        INT NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  snap_date       DATE NOT NULL,
+  opening_balance NUMERIC NOT NULL DEFAULT 0,
+  credits         NUMERIC NOT NULL DEFAULT 0,   -- 당일 (+) 합계
+  debits          NUMERIC NOT NULL DEFAULT 0,   -- 당일 (-) 합계 (양수로 저장)
+  closing_balance NUMERIC NOT NULL DEFAULT 0,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (store_id, snap_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_point_ledger_store_created ON point_ledger(store_id, created_at);
@@ -0,0 +1,19 @@
+-- 상품 재고 (NULL = 재고 미관리: 기존처럼 status 수동 관리)
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS stock_qty INT;
+
+-- 재고 변동 이력
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id          BIGSERIAL PRIMARY KEY,
+  product_id  INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  change_qty  INT NOT NULL,                 -- +입고/복원, -출고
+  stock_after INT NOT NULL,
+  reason      VARCHAR(30) NOT NULL,         -- ORDER / ORDER_CANCEL / ORDER_REJECT / ADJUST / STOCKTAKE / IMPORT
+  ref_type    VARCHAR(30),
+  ref_id      INT,
+  actor       VARCHAR(100),
+  memo        TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, id DESC);
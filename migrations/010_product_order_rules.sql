@@ -0,0 +1,5 @@
+-- 상품별 주문규칙 (NULL = 제한 없음)
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS min_order_qty  INT CHECK (min_order_qty > 0),
+  ADD COLUMN IF NOT EXISTS order_multiple INT CHECK (order_multiple > 0),   -- 박스 입수 단위
+  ADD COLUMN IF NOT EXISTS max_order_qty  INT CHECK (max_order_qty > 0);
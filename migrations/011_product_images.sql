@@ -0,0 +1,4 @@
+-- 상품 썸네일 / 보관(archive)
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS thumbnail_url TEXT,
+  ADD COLUMN IF NOT EXISTS archived_at   TIMESTAMPTZ;
@@ -0,0 +1,41 @@
+-- 가맹점 그룹 (지역/규모별 묶음)
+CREATE TABLE IF NOT EXISTS store_groups (
+  id             SERIAL PRIMARY KEY,
+  head_office_id INT NOT NULL REFERENCES head_offices(id) ON DELETE CASCADE,
+  name           VARCHAR(100) NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (head_office_id, name)
+);
+
+ALTER TABLE stores
+  ADD COLUMN IF NOT EXISTS store_group_id INT REFERENCES store_groups(id) ON DELETE SET NULL;
+
+-- 단가표 (유효기간 NULL = 제한 없음)
+CREATE TABLE IF NOT EXISTS price_lists (
+  id             SERIAL PRIMARY KEY,
+  head_office_id INT NOT NULL REFERENCES head_offices(id) ON DELETE CASCADE,
+  name           VARCHAR(100) NOT NULL,
+  valid_from     DATE,
+  valid_to       DATE,
+  active         BOOLEAN NOT NULL DEFAULT true,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS price_list_items (
+  price_list_id INT NOT NULL REFERENCES price_lists(id) ON DELETE CASCADE,
+  product_id    INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  price         NUMERIC NOT NULL CHECK (price >= 0),
+  PRIMARY KEY (price_list_id, product_id)
+);
+
+-- 단가표 적용 대상: 가맹점 또는 가맹점 그룹 (둘 중 하나)
+CREATE TABLE IF NOT EXISTS price_list_assignments (
+  id             SERIAL PRIMARY KEY,
+  price_list_id  INT NOT NULL REFERENCES price_lists(id) ON DELETE CASCADE,
+  store_id       INT REFERENCES stores(id) ON DELETE CASCADE,
+  store_group_id INT REFERENCES store_groups(id) ON DELETE CASCADE,
+  CHECK ((store_id IS NULL) <> (store_group_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_list_assignments_store ON price_list_assignments(store_id);
+CREATE INDEX IF NOT EXISTS idx_price_list_assignments_group ON price_list_assignments(store_group_id);
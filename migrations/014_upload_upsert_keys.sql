@@ -0,0 +1,8 @@
+-- 엑셀 upsert 키
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(50);
+ALTER TABLE stores   ADD COLUMN IF NOT EXISTS external_code VARCHAR(50);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_products_head_office_sku
+  ON products(head_office_id, sku) WHERE sku IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_stores_head_office_external_code
+  ON stores(head_office_id, external_code) WHERE external_code IS NOT NULL;
@@ -0,0 +1,23 @@
+-- 마스터 엑셀 업로드 작업 이력
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id             BIGSERIAL PRIMARY KEY,
+  kind           VARCHAR(20) NOT NULL,            -- stores / products
+  file_name      TEXT,
+  uploaded_by    VARCHAR(100),
+  head_office_id INT REFERENCES head_offices(id) ON DELETE SET NULL,  -- 파일 전체가 한 본사 대상일 때
+  mode           VARCHAR(10),                     -- insert / upsert
+  dry_run        BOOLEAN NOT NULL DEFAULT false,
+  atomic         BOOLEAN NOT NULL DEFAULT false,
+  status         VARCHAR(20) NOT NULL,            -- done / preview / rolled_back / error
+  total_rows     INT NOT NULL DEFAULT 0,
+  inserted       INT NOT NULL DEFAULT 0,
+  updated        INT NOT NULL DEFAULT 0,
+  skipped        INT NOT NULL DEFAULT 0,
+  failed_count   INT NOT NULL DEFAULT 0,
+  failed_rows    JSONB NOT NULL DEFAULT '[]',     -- [{ rowIndex, error, row(원본) }]
+  error          TEXT,
+  started_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_head_office ON import_jobs(head_office_id, id DESC);
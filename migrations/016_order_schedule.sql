@@ -0,0 +1,24 @@
+-- 본사 발주 마감/배송 설정 (요일: 0=일 ~ 6=토)
+CREATE TABLE IF NOT EXISTS order_schedules (
+  head_office_id    INT PRIMARY KEY REFERENCES head_offices(id) ON DELETE CASCADE,
+  cutoff_time       TIME,                                   -- NULL = 마감 없음
+  order_weekdays    INT[],                                  -- NULL = 매일 주문 가능
+  delivery_weekdays INT[] NOT NULL,
+  lead_days         INT NOT NULL DEFAULT 1 CHECK (lead_days >= 0),
+  late_policy       VARCHAR(10) NOT NULL DEFAULT 'next',    -- next / reject
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- 휴일 (head_office_id NULL = 전체 공통 공휴일)
+CREATE TABLE IF NOT EXISTS delivery_holidays (
+  id             SERIAL PRIMARY KEY,
+  head_office_id INT REFERENCES head_offices(id) ON DELETE CASCADE,
+  holiday_date   DATE NOT NULL,
+  name           VARCHAR(100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_delivery_holidays
+  ON delivery_holidays((COALESCE(head_office_id, 0)), holiday_date);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_date DATE;
+CREATE INDEX IF NOT EXISTS idx_orders_head_office_delivery ON orders(head_office_id, delivery_date);
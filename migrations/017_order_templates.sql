@@ -0,0 +1,41 @@
+-- 가맹점 장바구니 (가맹점당 1개, items: [{ productId, qty }])
+CREATE TABLE IF NOT EXISTS store_carts (
+  store_id   INT PRIMARY KEY REFERENCES stores(id) ON DELETE CASCADE,
+  items      JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- 정기주문 템플릿 (요일: 0=일 ~ 6=토, 시각은 KST)
+CREATE TABLE IF NOT EXISTS order_templates (
+  id                SERIAL PRIMARY KEY,
+  store_id          INT NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  name              VARCHAR(100) NOT NULL,
+  items             JSONB NOT NULL,
+  auto_submit       BOOLEAN NOT NULL DEFAULT false,
+  schedule_weekdays INT[],
+  schedule_time     TIME,
+  active            BOOLEAN NOT NULL DEFAULT true,
+  last_run_date     DATE,                                  -- 자동주문 하루 1회 선점용
+  last_run_at       TIMESTAMPTZ,
+  last_run_status   VARCHAR(30),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_templates_store ON order_templates(store_id);
+CREATE INDEX IF NOT EXISTS idx_order_templates_auto ON order_templates(auto_submit) WHERE active AND auto_submit;
+
+-- 템플릿 실행 이력 (status: ORDERED / INSUFFICIENT_POINTS / INVALID_ITEMS / OUTSIDE_ORDER_WINDOW ...)
+CREATE TABLE IF NOT EXISTS order_template_runs (
+  id          SERIAL PRIMARY KEY,
+  template_id INT NOT NULL REFERENCES order_templates(id) ON DELETE CASCADE,
+  store_id    INT NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  trigger     VARCHAR(10) NOT NULL,                        -- manual / schedule
+  status      VARCHAR(30) NOT NULL,
+  order_id    INT REFERENCES orders(id) ON DELETE SET NULL,
+  message     TEXT,
+  details     JSONB,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_template_runs_template ON order_template_runs(template_id, id DESC);
@@ -0,0 +1,17 @@
+-- 본사: 발주/충전요청 전 가맹점 프로필 필수항목 요구 여부
+ALTER TABLE head_offices ADD COLUMN IF NOT EXISTS require_complete_profile BOOLEAN NOT NULL DEFAULT false;
+
+-- 프로필 버전 (수정 시마다 +1)
+ALTER TABLE store_profiles ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0;
+
+-- 프로필 변경 이력 (data = 해당 버전 전체 스냅샷)
+CREATE TABLE IF NOT EXISTS store_profile_versions (
+  id             SERIAL PRIMARY KEY,
+  store_id       INT NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  version        INT NOT NULL,
+  data           JSONB NOT NULL,
+  changed_fields TEXT[] NOT NULL,
+  actor          VARCHAR(100),
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (store_id, version)
+);
@@ -0,0 +1,34 @@
+-- 관리자/본사 쓰기 요청 감사로그 (append-only)
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id             BIGSERIAL PRIMARY KEY,
+  actor          VARCHAR(150) NOT NULL,
+  scope          VARCHAR(20) NOT NULL,
+  head_office_id INT,
+  method         VARCHAR(10) NOT NULL,
+  route          VARCHAR(200),                     -- 라우트 패턴 (ex: /master/head-offices/:id)
+  path           VARCHAR(500) NOT NULL,
+  status_code    INT NOT NULL,
+  entity_type    VARCHAR(50),
+  entity_id      VARCHAR(100),
+  before         JSONB,
+  after          JSONB,
+  request        JSONB,                            -- params/query/body (비밀번호·토큰류 마스킹)
+  ip             VARCHAR(64),
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor);
+
+-- 수정/삭제 금지
+CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_logs_append_only ON audit_logs;
+CREATE TRIGGER trg_audit_logs_append_only
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only();
@@ -0,0 +1,25 @@
+-- 관리자 계정 (공용 MASTER_API_KEY 대체)
+-- role: super_master(전체) / finance(충전·입금·정산) / head_admin(head_office_id 본사만)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id             SERIAL PRIMARY KEY,
+  username       VARCHAR(50) NOT NULL UNIQUE,
+  password_hash  VARCHAR(200) NOT NULL,               -- scrypt$<salt>$<hash>
+  name           VARCHAR(50),
+  role           VARCHAR(20) NOT NULL CHECK (role IN ('super_master', 'finance', 'head_admin')),
+  head_office_id INT REFERENCES head_offices(id) ON DELETE CASCADE,
+  active         BOOLEAN NOT NULL DEFAULT true,
+  last_login_at  TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((role = 'head_admin') = (head_office_id IS NOT NULL))
+);
+
+ALTER TABLE auth_sessions
+  ADD COLUMN IF NOT EXISTS role VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS admin_user_id INT REFERENCES admin_users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_admin_user ON auth_sessions(admin_user_id);
+
+-- 기존 마스터/본사 세션은 역할 미지정 → 폐기 (관리자 계정으로 재로그인)
+UPDATE auth_sessions SET revoked_at = now()
+WHERE scope IN ('master', 'head') AND role IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,4 @@
+-- 본사 매출 분석 조회용 인덱스
+CREATE INDEX IF NOT EXISTS idx_orders_head_office_created ON orders(head_office_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_store_created ON orders(store_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
@@ -0,0 +1,54 @@
+-- 웹훅 구독 (head_office_id NULL = 전체 본사 이벤트 구독, 마스터 등록)
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id             SERIAL PRIMARY KEY,
+  head_office_id INT REFERENCES head_offices(id) ON DELETE CASCADE,
+  url            VARCHAR(500) NOT NULL,
+  secret         VARCHAR(100) NOT NULL,                -- HMAC 서명키 (원문 보관: 서명에 필요)
+  events         TEXT[] NOT NULL,                      -- ex: {order.created,topup.paid} / {*}
+  description    VARCHAR(200),
+  active         BOOLEAN NOT NULL DEFAULT true,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_head_office ON webhook_endpoints(head_office_id);
+
+-- 이벤트 outbox (업무 트랜잭션과 같이 커밋)
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id             BIGSERIAL PRIMARY KEY,
+  event_type     VARCHAR(50) NOT NULL,
+  head_office_id INT,
+  payload        JSONB NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- 엔드포인트별 발송 상태 (pending → delivered / failed)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               BIGSERIAL PRIMARY KEY,
+  event_id         BIGINT NOT NULL REFERENCES webhook_events(id) ON DELETE CASCADE,
+  endpoint_id      INT NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  status           VARCHAR(10) NOT NULL DEFAULT 'pending',
+  attempts         INT NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_status_code INT,
+  last_error       TEXT,
+  delivered_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, id DESC);
+
+-- 시도별 발송 로그
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id            BIGSERIAL PRIMARY KEY,
+  delivery_id   BIGINT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt       INT NOT NULL,
+  status_code   INT,
+  error         TEXT,
+  response_body TEXT,
+  duration_ms   INT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id);
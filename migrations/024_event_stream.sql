@@ -0,0 +1,3 @@
+-- 실시간 스트림 재연결(Last-Event-ID) 재전송 조회용
+CREATE INDEX IF NOT EXISTS idx_webhook_events_head_office ON webhook_events(head_office_id, id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_store ON webhook_events(((payload->>'storeId')::int), id);
@@ -0,0 +1,11 @@
+-- 목록 커서 페이지네이션 / 필터용 인덱스
+CREATE INDEX IF NOT EXISTS idx_point_ledger_store_id ON point_ledger(store_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_point_topups_store_id ON point_topups(store_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_stores_head_office_id ON stores(head_office_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_products_head_office_id ON products(head_office_id, id DESC);
+
+-- 이름 부분일치 검색 (ILIKE '%...%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_stores_name_trgm ON stores USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_head_offices_name_trgm ON head_offices USING gin (name gin_trgm_ops);